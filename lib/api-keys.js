@@ -0,0 +1,135 @@
+// lib/api-keys.js - API keys and their per-key quotas. Only SHA-256 hashes
+// of the keys are kept; a request is matched by hashing the key it presents
+const crypto = require('crypto');
+const fs = require('fs').promises;
+
+const HASH_PATTERN = /^sha256:[0-9a-f]{64}$/;
+
+// admin keys can see and cancel every job, not just their own
+const ROLES = ['user', 'admin'];
+
+const hashApiKey = (key) => `sha256:${crypto.createHash('sha256').update(key).digest('hex')}`;
+
+const generateApiKey = () => `ytd_${crypto.randomBytes(24).toString('base64url')}`;
+
+// 0 or null in the config means no limit
+const readLimit = (value, fallback, label) => {
+    if (value === undefined) return fallback;
+    if (value === null || value === 0) return null;
+    if (!Number.isInteger(value) || value < 0) {
+        throw new Error(`${label} must be a whole number (0 for no limit)`);
+    }
+    return value;
+};
+
+// { name, key_hash, role?, daily_jobs?, storage_mb?, concurrency?, disabled? } -> key record
+function parseKeyEntry(entry, index, defaults) {
+    const label = `API key ${entry && entry.name ? `"${entry.name}"` : `#${index + 1}`}`;
+    if (!entry || typeof entry !== 'object') {
+        throw new Error(`${label} must be an object`);
+    }
+    if (typeof entry.name !== 'string' || !/^[\w.-]{1,64}$/.test(entry.name)) {
+        throw new Error(`${label}: name must be 1-64 letters, digits, ".", "_" or "-"`);
+    }
+    if (!HASH_PATTERN.test(entry.key_hash)) {
+        throw new Error(`${label}: key_hash must look like "sha256:<64 hex digits>" (see scripts/create-api-key.js)`);
+    }
+    if (entry.role !== undefined && !ROLES.includes(entry.role)) {
+        throw new Error(`${label}: role must be one of ${ROLES.join(', ')}`);
+    }
+
+    const storageMb = readLimit(entry.storage_mb, defaults.storageMb, `${label}: storage_mb`);
+    return {
+        name: entry.name,
+        hash: entry.key_hash,
+        role: entry.role || 'user',
+        dailyJobs: readLimit(entry.daily_jobs, defaults.dailyJobs, `${label}: daily_jobs`),
+        storageBytes: storageMb === null ? null : storageMb * 1024 * 1024,
+        concurrency: readLimit(entry.concurrency, defaults.concurrency, `${label}: concurrency`),
+        disabled: entry.disabled === true
+    };
+}
+
+// Keys come from a JSON array in `json` (API_KEYS) and/or a JSON file.
+// Any mistake throws so the service refuses to start half-configured
+async function loadApiKeys({ json, filePath, defaults }) {
+    const entries = [];
+    if (json) {
+        try {
+            entries.push(...JSON.parse(json));
+        } catch (error) {
+            throw new Error(`API_KEYS is not a JSON array of keys: ${error.message}`);
+        }
+    }
+    if (filePath) {
+        const content = await fs.readFile(filePath, 'utf8');
+        try {
+            entries.push(...JSON.parse(content));
+        } catch (error) {
+            throw new Error(`${filePath} is not a JSON array of keys: ${error.message}`);
+        }
+    }
+
+    const byHash = new Map();
+    const byName = new Map();
+    entries.forEach((entry, index) => {
+        const key = parseKeyEntry(entry, index, defaults);
+        if (byName.has(key.name)) throw new Error(`API key name "${key.name}" is used twice`);
+        if (byHash.has(key.hash)) throw new Error(`API key "${key.name}" has the same key_hash as "${byHash.get(key.hash).name}"`);
+        byHash.set(key.hash, key);
+        byName.set(key.name, key);
+    });
+
+    return {
+        size: byName.size,
+        // Key record for a presented key, or null
+        find: (presented) => byHash.get(hashApiKey(presented)) || null,
+        get: (name) => byName.get(name) || null
+    };
+}
+
+// X-API-Key header or Authorization: Bearer. ?api_key= only with allowQuery,
+// for EventSource, which can't set headers - query strings end up in logs
+function readApiKey(req, { allowQuery = false } = {}) {
+    const header = req.get('X-API-Key');
+    if (header) return header.trim();
+
+    const authorization = req.get('Authorization');
+    if (authorization && /^Bearer\s+/i.test(authorization)) {
+        return authorization.replace(/^Bearer\s+/i, '').trim();
+    }
+
+    return allowQuery && typeof req.query.api_key === 'string' ? req.query.api_key : null;
+}
+
+// Public quota view - null limits and remainders mean unlimited
+function describeQuota(key, usage) {
+    const remaining = (limit, used) => limit === null ? null : Math.max(0, limit - used);
+    return {
+        key: key.name,
+        daily_jobs: {
+            limit: key.dailyJobs,
+            used: usage.jobsToday,
+            remaining: remaining(key.dailyJobs, usage.jobsToday),
+            resets_at: usage.resetsAt
+        },
+        storage: {
+            limit_bytes: key.storageBytes,
+            used_bytes: usage.storageBytes,
+            remaining_bytes: remaining(key.storageBytes, usage.storageBytes)
+        },
+        concurrency: {
+            limit: key.concurrency,
+            running: usage.running,
+            queued: usage.queued
+        }
+    };
+}
+
+module.exports = {
+    hashApiKey,
+    generateApiKey,
+    loadApiKeys,
+    readApiKey,
+    describeQuota
+};
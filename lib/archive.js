@@ -0,0 +1,89 @@
+// lib/archive.js - Stream job files as a ZIP or tar.gz, built on the fly with
+// no copy on disk. Each file is hashed as it goes through, and manifest.json
+// with the checksums is written as the last entry
+const archiver = require('archiver');
+const crypto = require('crypto');
+const path = require('path');
+const { Transform } = require('stream');
+
+const ARCHIVE_FORMATS = {
+    zip: { contentType: 'application/zip', extension: 'zip' },
+    'tar.gz': { contentType: 'application/gzip', extension: 'tar.gz' }
+};
+
+// Media and images are already compressed - deflating them again in a ZIP
+// only costs CPU
+const COMPRESSIBLE_EXTENSIONS = ['.vtt', '.srt', '.txt', '.json', '.m3u8'];
+
+// Pass-through that records the SHA-256 and size of what it has seen
+function createDigestStream() {
+    const hash = crypto.createHash('sha256');
+    let size = 0;
+    const stream = new Transform({
+        transform(chunk, encoding, callback) {
+            hash.update(chunk);
+            size += chunk.length;
+            callback(null, chunk);
+        }
+    });
+    stream.result = () => ({ size, sha256: hash.digest('hex') });
+    return stream;
+}
+
+// entries: [{ name, storagePath, ...details }], each read with
+// openFile(storagePath). Every entry's details plus path, size and sha256 end
+// up in manifest.files. Returns the archive stream and abort(), which stops it
+// and closes any files still open
+function createJobArchive(format, entries, manifest, openFile) {
+    const archive = format === 'zip'
+        ? archiver('zip', { zlib: { level: 6 } })
+        : archiver('tar', { gzip: true });
+    const sources = [];
+    let aborted = false;
+    let previous = Promise.resolve();
+
+    const listed = entries.map(({ name, storagePath, ...details }) => {
+        const digest = createDigestStream();
+
+        // A file is only opened once the one before it is done, so an HLS
+        // job's hundreds of segments aren't all held open at once
+        const done = previous.then(() => new Promise((resolve, reject) => {
+            if (aborted) return reject(new Error('Archive aborted'));
+            const source = openFile(storagePath);
+            sources.push(source);
+            source.on('error', reject);
+            digest.on('end', () => resolve({ path: name, ...details, ...digest.result() }));
+            source.pipe(digest);
+        }));
+        previous = done;
+
+        archive.append(digest, {
+            name,
+            store: !COMPRESSIBLE_EXTENSIONS.includes(path.extname(name).toLowerCase())
+        });
+        return done;
+    });
+
+    // Entries are consumed in order, so this resolves once the last file has
+    // been written to the archive
+    Promise.all(listed)
+        .then(files => {
+            archive.append(JSON.stringify({ ...manifest, files }, null, 2), { name: 'manifest.json' });
+            return archive.finalize();
+        })
+        .catch(error => archive.emit('error', error));
+
+    return {
+        stream: archive,
+        abort() {
+            aborted = true;
+            archive.abort();
+            sources.forEach(source => source.destroy());
+        }
+    };
+}
+
+module.exports = {
+    ARCHIVE_FORMATS,
+    createJobArchive
+};
@@ -0,0 +1,103 @@
+// lib/audio-processing.js - Two-pass EBU R128 loudness normalization and
+// ffmpeg metadata (tags, cover art, chapters) for audio outputs
+
+// What each audio codec's container can carry besides the audio itself
+const TAG_SUPPORT = {
+    mp3: { cover: true, chapters: true },
+    aac: { cover: true, chapters: true },
+    flac: { cover: true, chapters: true },
+    opus: { cover: false, chapters: true },
+    wav: { cover: false, chapters: false }
+};
+
+// Codec of a downloaded audio file - yt-dlp may hand back a different
+// container than the one asked for when it can't convert
+const CODEC_BY_EXTENSION = {
+    '.mp3': 'mp3',
+    '.m4a': 'aac',
+    '.opus': 'opus',
+    '.ogg': 'opus',
+    '.flac': 'flac',
+    '.wav': 'wav'
+};
+
+const TRUE_PEAK = -1.5;
+const LOUDNESS_RANGE = 11;
+
+// First pass: measure only, nothing is written
+const loudnormMeasureFilter = (targetLufs) =>
+    `loudnorm=I=${targetLufs}:TP=${TRUE_PEAK}:LRA=${LOUDNESS_RANGE}:print_format=json`;
+
+// loudnorm prints its measurements as a JSON object at the end of stderr
+function parseLoudnormStats(stderrLines) {
+    const start = stderrLines.findLastIndex(line => line.trim() === '{');
+    const end = stderrLines.findLastIndex(line => line.trim() === '}');
+    if (start === -1 || end < start) return null;
+
+    try {
+        const stats = JSON.parse(stderrLines.slice(start, end + 1).join('\n'));
+        return stats.input_i !== undefined ? stats : null;
+    } catch {
+        return null;
+    }
+}
+
+// Second pass: feed the measurements back so the gain is applied linearly
+// instead of by the one-pass dynamic mode
+const loudnormApplyFilter = (targetLufs, stats) => [
+    `loudnorm=I=${targetLufs}:TP=${TRUE_PEAK}:LRA=${LOUDNESS_RANGE}`,
+    `measured_I=${stats.input_i}`,
+    `measured_TP=${stats.input_tp}`,
+    `measured_LRA=${stats.input_lra}`,
+    `measured_thresh=${stats.input_thresh}`,
+    `offset=${stats.target_offset}`,
+    'linear=true'
+].join(':');
+
+// ffmetadata values escape '=', ';', '#', '\' and newlines with a backslash
+const escapeMetadata = (value) => String(value).replace(/([=;#\\\n])/g, '\\$1');
+
+// ;FFMETADATA1 file with global tags and, optionally, [CHAPTER] blocks
+function buildFfmetadata(tags, chapters = []) {
+    const lines = [';FFMETADATA1'];
+    for (const [key, value] of Object.entries(tags)) {
+        if (value !== null && value !== undefined && value !== '') {
+            lines.push(`${key}=${escapeMetadata(value)}`);
+        }
+    }
+
+    chapters.forEach((chapter, index) => {
+        const end = Number.isFinite(chapter.end_time)
+            ? chapter.end_time
+            : (chapters[index + 1] ? chapters[index + 1].start_time : null);
+        if (end === null) return;
+        lines.push(
+            '[CHAPTER]',
+            'TIMEBASE=1/1000',
+            `START=${Math.round(chapter.start_time * 1000)}`,
+            `END=${Math.round(end * 1000)}`,
+            `title=${escapeMetadata(chapter.title || `Chapter ${index + 1}`)}`
+        );
+    });
+
+    return lines.join('\n') + '\n';
+}
+
+// Tags taken from video_info
+const audioTags = (videoInfo) => ({
+    title: videoInfo.title,
+    artist: videoInfo.channel,
+    album_artist: videoInfo.channel,
+    date: videoInfo.upload_date,
+    comment: videoInfo.id ? `https://www.youtube.com/watch?v=${videoInfo.id}` : null
+});
+
+module.exports = {
+    TAG_SUPPORT,
+    CODEC_BY_EXTENSION,
+    loudnormMeasureFilter,
+    parseLoudnormStats,
+    loudnormApplyFilter,
+    buildFfmetadata,
+    audioTags
+};
@@ -0,0 +1,153 @@
+// lib/clips.js - Clip ranges (start/end, a list of segments or the video's
+// chapters) and the ffmpeg arguments that cut them out of a downloaded file
+const { parseClock } = require('./progress');
+const { formatDuration } = require('./video-info');
+
+const MAX_SEGMENTS = 20;
+
+// 90, "90", "1:30", "00:01:30.500" -> seconds
+const parseTimestamp = (value) => {
+    if (typeof value === 'number') return Number.isFinite(value) && value >= 0 ? value : null;
+    if (typeof value !== 'string') return null;
+    if (/^\d+(\.\d+)?$/.test(value)) return parseFloat(value);
+    if (/^(\d+:)?\d{1,2}:\d{1,2}(\.\d+)?$/.test(value)) return parseClock(value);
+    return null;
+};
+
+// Validate start/end/segments/concat_segments from a request body.
+// Returns { clip } (null when no range was asked for) or { error }
+function parseClipOptions({ start, end, segments, concat_segments: concatSegments }) {
+    if (start === undefined && end === undefined && segments === undefined) {
+        if (concatSegments !== undefined) return { error: 'concat_segments only applies together with segments' };
+        return { clip: null };
+    }
+    if (segments !== undefined && (start !== undefined || end !== undefined)) {
+        return { error: 'Use either start/end or segments, not both' };
+    }
+    if (concatSegments !== undefined && typeof concatSegments !== 'boolean') {
+        return { error: 'concat_segments must be true or false' };
+    }
+
+    let ranges;
+    if (segments !== undefined) {
+        if (!Array.isArray(segments) || segments.length === 0 || segments.length > MAX_SEGMENTS) {
+            return { error: `segments must be an array of 1-${MAX_SEGMENTS} { start, end } ranges` };
+        }
+        ranges = segments.map((segment, index) => ({ label: `segments[${index}]`, ...segment }));
+        if (ranges.some(range => range.end === undefined)) {
+            return { error: 'Every segment needs both start and end' };
+        }
+    } else {
+        ranges = [{ label: 'start/end', start: start === undefined ? 0 : start, end }];
+    }
+
+    const parsed = [];
+    for (const range of ranges) {
+        const rangeStart = parseTimestamp(range.start === undefined ? 0 : range.start);
+        const rangeEnd = range.end === undefined || range.end === null ? null : parseTimestamp(range.end);
+
+        if (rangeStart === null || (range.end !== undefined && range.end !== null && rangeEnd === null)) {
+            return { error: `${range.label}: timestamps must be seconds or "HH:MM:SS(.mmm)"` };
+        }
+        if (rangeEnd !== null && rangeEnd <= rangeStart) {
+            return { error: `${range.label}: end must be after start` };
+        }
+        parsed.push({ start: rangeStart, end: rangeEnd });
+    }
+
+    return {
+        clip: {
+            segments: parsed,
+            concat: parsed.length > 1 && concatSegments === true
+        }
+    };
+}
+
+// Check the ranges against the real video duration and fill in open ends.
+// Returns { segments } or { error }; an unknown duration skips the checks
+function resolveClipSegments(clip, duration) {
+    if (!Number.isFinite(duration)) return { segments: clip.segments };
+
+    const segments = [];
+    for (const [index, segment] of clip.segments.entries()) {
+        const label = clip.segments.length > 1 ? `segments[${index}]` : 'start/end';
+        const end = segment.end === null ? duration : segment.end;
+        if (segment.start >= duration) {
+            return { error: `${label}: starts at ${formatDuration(segment.start)}, after the end of the video (${formatDuration(duration)})` };
+        }
+        if (end > duration) {
+            return { error: `${label}: ends at ${formatDuration(end)}, after the end of the video (${formatDuration(duration)})` };
+        }
+        segments.push({ start: segment.start, end });
+    }
+    return { segments };
+}
+
+// Chapter list from video_info as an ordered manifest; a missing end runs
+// to the next chapter (or the end of the file for the last one)
+const chapterManifest = (chapters) => chapters.map((chapter, index) => ({
+    index: index + 1,
+    title: chapter.title || `Chapter ${index + 1}`,
+    start: chapter.start_time || 0,
+    end: Number.isFinite(chapter.end_time)
+        ? chapter.end_time
+        : (chapters[index + 1] ? chapters[index + 1].start_time : null)
+}));
+
+// "03_Part_Two" from (3, "Part: Two") - ASCII only, since the name ends up
+// in the Content-Disposition header when the file is served
+const chapterFileBase = (index, title) => {
+    const slug = title
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .replace(/[^A-Za-z0-9-]+/g, '_')
+        .replace(/^_+|_+$/g, '')
+        .slice(0, 60);
+    return `${String(index).padStart(2, '0')}_${slug || 'chapter'}`;
+};
+
+const clipLength = (segments) => segments.every(segment => segment.end !== null)
+    ? segments.reduce((total, segment) => total + segment.end - segment.start, 0)
+    : null;
+
+// Input and stream-mapping arguments for cutting segments out of inputPath.
+// Seeking on the input while re-encoding is frame-accurate; several segments
+// are joined with the concat filter. { video, audio } picks the streams to keep;
+// videoFilter (e.g. a scale) is applied here because -vf can't follow -filter_complex
+function ffmpegClipArgs(inputPath, segments, { video, audio, videoFilter }) {
+    const args = [];
+    for (const segment of segments) {
+        args.push('-ss', String(segment.start));
+        if (segment.end !== null) args.push('-t', String(segment.end - segment.start));
+        args.push('-i', inputPath);
+    }
+
+    if (segments.length === 1) {
+        if (video) args.push('-map', '0:v:0');
+        if (video && videoFilter) args.push('-vf', videoFilter);
+        if (audio) args.push('-map', '0:a?');
+        // Keep muxed subtitle tracks on the full video output
+        if (video && audio) args.push('-map', '0:s?', '-c:s', 'copy');
+        return args;
+    }
+
+    const inputs = segments.map((segment, index) => (video ? `[${index}:v:0]` : '') + (audio ? `[${index}:a:0]` : '')).join('');
+    const outputs = (video ? (videoFilter ? '[joined]' : '[v]') : '') + (audio ? '[a]' : '');
+    let graph = `${inputs}concat=n=${segments.length}:v=${video ? 1 : 0}:a=${audio ? 1 : 0}${outputs}`;
+    if (video && videoFilter) graph += `;[joined]${videoFilter}[v]`;
+    args.push('-filter_complex', graph);
+    if (video) args.push('-map', '[v]');
+    if (audio) args.push('-map', '[a]');
+    return args;
+}
+
+module.exports = {
+    MAX_SEGMENTS,
+    parseTimestamp,
+    parseClipOptions,
+    resolveClipSegments,
+    chapterManifest,
+    chapterFileBase,
+    clipLength,
+    ffmpegClipArgs
+};
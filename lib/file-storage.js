@@ -0,0 +1,284 @@
+// lib/file-storage.js - Where finished job files are kept. "local" leaves them
+// in DOWNLOAD_DIR and this service serves them; "s3" uploads them to an
+// S3-compatible bucket (AWS S3, MinIO, R2...) so links point at the bucket
+// instead of this machine. Files are named relative to the storage root:
+// "<jobId>_18.mp4", or "<jobId>_hls/stream_720p/segment_000.ts" inside a
+// job's HLS directory
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const { createReadStream } = require('fs');
+const path = require('path');
+const { PassThrough } = require('stream');
+const { diskUsage } = require('./job-files');
+
+// Longest expiry SigV4 allows on a presigned URL
+const MAX_PRESIGN_SECONDS = 7 * 24 * 3600;
+
+// Paths of every file under dir, relative to it
+async function listFiles(dir) {
+    const entries = await fs.readdir(dir, { withFileTypes: true });
+    const nested = await Promise.all(entries.map(async entry => entry.isDirectory()
+        ? (await listFiles(path.join(dir, entry.name))).map(name => `${entry.name}/${name}`)
+        : [entry.name]));
+    return nested.flat().sort();
+}
+
+function createLocalStorage(dir) {
+    const resolve = (name) => path.join(dir, name);
+
+    return {
+        type: 'local',
+
+        // Path on this machine, for backends that have one
+        localPath: resolve,
+
+        // Jobs write straight into dir, so there is nothing to move
+        save: async () => {},
+
+        remove: (name) => fs.rm(resolve(name), { recursive: true, force: true }),
+
+        // { bytes, modifiedAt } for a file or directory, or null if missing
+        async stat(name) {
+            try {
+                const stats = await fs.stat(resolve(name));
+                return { bytes: await diskUsage(resolve(name)), modifiedAt: stats.mtimeMs };
+            } catch {
+                return null;
+            }
+        },
+
+        // Files in a directory, relative to it, or null if missing
+        listDirectory: (name) => listFiles(resolve(name)).catch(() => null),
+
+        // Every top-level file and directory
+        async list() {
+            const names = await fs.readdir(dir);
+            const entries = await Promise.all(names.map(async name => {
+                const stats = await fs.stat(resolve(name)).catch(() => null);
+                return stats && { name, modifiedAt: stats.mtimeMs };
+            }));
+            return entries.filter(Boolean);
+        },
+
+        usage: () => diskUsage(dir),
+
+        createReadStream: (name) => createReadStream(resolve(name)),
+
+        // Served by this service through signed /files links
+        publicUrl: () => null,
+        presignUrl: () => null,
+        maxLinkSeconds: null
+    };
+}
+
+// RFC 3986 encoding, as SigV4 expects
+const encode = (value) => encodeURIComponent(value)
+    .replace(/[!'()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+const encodePath = (key) => key.split('/').map(encode).join('/');
+const hmac = (key, data) => crypto.createHmac('sha256', key).update(data).digest();
+
+// SigV4 query-string signature for a GET of objectUrl. Signed here rather
+// than with the SDK's async presigner so links can be made synchronously
+// while building status responses (see scripts/tests/presign.test.js)
+function presignGet(objectUrl, { region, accessKeyId, secretAccessKey }, expiresIn, now = new Date()) {
+    const amzDate = now.toISOString().replace(/[-:]|\.\d{3}/g, '');
+    const day = amzDate.slice(0, 8);
+    const scope = `${day}/${region}/s3/aws4_request`;
+    const query = {
+        'X-Amz-Algorithm': 'AWS4-HMAC-SHA256',
+        'X-Amz-Credential': `${accessKeyId}/${scope}`,
+        'X-Amz-Date': amzDate,
+        'X-Amz-Expires': String(expiresIn),
+        'X-Amz-SignedHeaders': 'host'
+    };
+    const canonicalQuery = Object.keys(query).sort()
+        .map(name => `${encode(name)}=${encode(query[name])}`)
+        .join('&');
+    const canonicalRequest = ['GET', objectUrl.pathname, canonicalQuery, `host:${objectUrl.host}\n`, 'host', 'UNSIGNED-PAYLOAD'].join('\n');
+    const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, crypto.createHash('sha256').update(canonicalRequest).digest('hex')].join('\n');
+    const signingKey = [day, region, 's3', 'aws4_request'].reduce(hmac, `AWS4${secretAccessKey}`);
+    const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+    return `${objectUrl.origin}${objectUrl.pathname}?${canonicalQuery}&X-Amz-Signature=${signature}`;
+}
+
+// options: { bucket, region, endpoint, accessKeyId, secretAccessKey,
+// forcePathStyle, prefix, instanceId, publicUrl, workDir, contentType(name) }.
+// Files are uploaded from workDir once a job has finished writing them there.
+// Keys live under prefix + "<instanceId>/", and listing and usage only see
+// that folder, so instances sharing a bucket never sweep each other's files
+function createS3Storage(options) {
+    if (!options.bucket) throw new Error('S3 storage needs a bucket (S3_BUCKET)');
+    if (!options.accessKeyId || !options.secretAccessKey) {
+        throw new Error('S3 storage needs credentials (S3_ACCESS_KEY_ID and S3_SECRET_ACCESS_KEY)');
+    }
+    if (options.instanceId && !/^[\w.-]+$/.test(options.instanceId)) {
+        throw new Error('S3_INSTANCE_ID may only contain letters, digits, ".", "_" and "-"');
+    }
+
+    // Loaded only when S3 is used, so local installs don't need the SDK
+    const {
+        S3Client,
+        PutObjectCommand,
+        GetObjectCommand,
+        HeadObjectCommand,
+        ListObjectsV2Command,
+        DeleteObjectsCommand
+    } = require('@aws-sdk/client-s3');
+
+    const { bucket, region, endpoint, accessKeyId, secretAccessKey, prefix = '', instanceId, publicUrl, workDir, contentType } = options;
+    const forcePathStyle = options.forcePathStyle ?? Boolean(endpoint);
+    const client = new S3Client({
+        region,
+        endpoint,
+        forcePathStyle,
+        credentials: { accessKeyId, secretAccessKey },
+        // Streamed uploads with checksum trailers aren't understood by every
+        // S3-compatible service, so only send checksums where S3 requires them
+        requestChecksumCalculation: 'WHEN_REQUIRED',
+        responseChecksumValidation: 'WHEN_REQUIRED'
+    });
+    const root = instanceId ? `${prefix}${instanceId}/` : prefix;
+    const objectKey = (name) => root + name;
+
+    // Base URL objects are fetched from, with the bucket in the path or host
+    const bucketUrl = (() => {
+        const base = new URL(endpoint || `https://s3.${region}.amazonaws.com`);
+        if (forcePathStyle) return `${base.origin}${base.pathname.replace(/\/$/, '')}/${encode(bucket)}`;
+        return `${base.protocol}//${bucket}.${base.host}`;
+    })();
+
+    async function listObjects(keyPrefix) {
+        const objects = [];
+        let token;
+        do {
+            const page = await client.send(new ListObjectsV2Command({ Bucket: bucket, Prefix: keyPrefix, ContinuationToken: token }));
+            objects.push(...(page.Contents || []));
+            token = page.IsTruncated ? page.NextContinuationToken : undefined;
+        } while (token);
+        return objects;
+    }
+
+    const isNotFound = (error) => error.name === 'NotFound' || error.name === 'NoSuchKey' ||
+        (error.$metadata && error.$metadata.httpStatusCode === 404);
+
+    async function upload(filePath, name, disposition) {
+        const { size } = await fs.stat(filePath);
+        await client.send(new PutObjectCommand({
+            Bucket: bucket,
+            Key: objectKey(name),
+            Body: createReadStream(filePath),
+            ContentLength: size,
+            ContentType: contentType(name) || 'application/octet-stream',
+            ContentDisposition: disposition
+        }));
+    }
+
+    return {
+        type: 's3',
+        bucket,
+
+        localPath: () => null,
+
+        // Upload a finished file or HLS directory from workDir, then remove
+        // the local copy
+        async save(name) {
+            const localPath = path.join(workDir, name);
+            const stats = await fs.stat(localPath);
+            if (stats.isDirectory()) {
+                for (const file of await listFiles(localPath)) {
+                    await upload(path.join(localPath, file), `${name}/${file}`, 'inline');
+                }
+            } else {
+                await upload(localPath, name, `attachment; filename="${name}"`);
+            }
+            await fs.rm(localPath, { recursive: true, force: true });
+        },
+
+        async remove(name) {
+            const keys = [objectKey(name), ...(await listObjects(`${objectKey(name)}/`)).map(object => object.Key)];
+            for (let start = 0; start < keys.length; start += 1000) {
+                await client.send(new DeleteObjectsCommand({
+                    Bucket: bucket,
+                    Delete: { Objects: keys.slice(start, start + 1000).map(Key => ({ Key })), Quiet: true }
+                }));
+            }
+        },
+
+        async stat(name) {
+            try {
+                const head = await client.send(new HeadObjectCommand({ Bucket: bucket, Key: objectKey(name) }));
+                return { bytes: head.ContentLength, modifiedAt: head.LastModified.getTime() };
+            } catch (error) {
+                if (!isNotFound(error)) throw error;
+            }
+            const objects = await listObjects(`${objectKey(name)}/`);
+            if (objects.length === 0) return null;
+            return {
+                bytes: objects.reduce((total, object) => total + object.Size, 0),
+                modifiedAt: Math.max(...objects.map(object => object.LastModified.getTime()))
+            };
+        },
+
+        async listDirectory(name) {
+            const keyPrefix = `${objectKey(name)}/`;
+            const objects = await listObjects(keyPrefix);
+            return objects.length > 0 ? objects.map(object => object.Key.slice(keyPrefix.length)).sort() : null;
+        },
+
+        // Top-level names, with an HLS directory's objects counted as one
+        async list() {
+            const entries = new Map();
+            for (const object of await listObjects(root)) {
+                const name = object.Key.slice(root.length).split('/')[0];
+                const entry = entries.get(name) || { name, bytes: 0, modifiedAt: 0 };
+                entry.bytes += object.Size;
+                entry.modifiedAt = Math.max(entry.modifiedAt, object.LastModified.getTime());
+                entries.set(name, entry);
+            }
+            return [...entries.values()];
+        },
+
+        async usage() {
+            const objects = await listObjects(root);
+            return objects.reduce((total, object) => total + object.Size, 0);
+        },
+
+        createReadStream(name) {
+            const stream = new PassThrough();
+            client.send(new GetObjectCommand({ Bucket: bucket, Key: objectKey(name) })).then(({ Body }) => {
+                Body.on('error', error => stream.destroy(error));
+                stream.on('close', () => Body.destroy());
+                Body.pipe(stream);
+            }, error => stream.destroy(error));
+            return stream;
+        },
+
+        // Unsigned URL when the bucket (or a CDN in front of it) is public
+        publicUrl: (name) => publicUrl ? `${publicUrl.replace(/\/$/, '')}/${encodePath(objectKey(name))}` : null,
+
+        // Presigned URL valid until expires (unix seconds), at most
+        // maxLinkSeconds from now
+        maxLinkSeconds: publicUrl ? null : MAX_PRESIGN_SECONDS,
+        presignUrl(name, expires) {
+            const expiresIn = Math.min(MAX_PRESIGN_SECONDS, Math.max(1, expires - Math.floor(Date.now() / 1000)));
+            return presignGet(new URL(`${bucketUrl}/${encodePath(objectKey(name))}`), { region, accessKeyId, secretAccessKey }, expiresIn);
+        }
+    };
+}
+
+function createFileStorage(type, options = {}) {
+    switch (type) {
+        case 'local':
+            return createLocalStorage(options.downloadDir);
+        case 's3':
+            return createS3Storage(options);
+        default:
+            throw new Error(`Unknown storage backend: ${type}`);
+    }
+}
+
+module.exports = {
+    presignGet,
+    createLocalStorage,
+    createFileStorage
+};
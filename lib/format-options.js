@@ -0,0 +1,332 @@
+// lib/format-options.js - Per-format quality/container/codec options and their
+// translation into yt-dlp format selectors and ffmpeg arguments
+const { parseTimestamp } = require('./clips');
+
+const VIDEO_HEIGHTS = [144, 240, 360, 480, 720, 1080, 1440, 2160, 4320];
+const VIDEO_CONTAINERS = ['mp4', 'webm', 'mkv'];
+const VIDEO_CODECS = ['any', 'h264', 'vp9', 'av1'];
+const AUDIO_CODECS = ['mp3', 'aac', 'opus', 'flac', 'wav'];
+const AUDIO_BITRATES = [64, 96, 128, 160, 192, 256, 320];
+const LOSSLESS_AUDIO_CODECS = ['flac', 'wav'];
+const SUBTITLE_SOURCES = ['manual', 'auto', 'any'];
+const SUBTITLE_CONVERSIONS = ['srt', 'txt'];
+const SUBTITLE_EMBEDS = ['none', 'mux', 'burn'];
+const IMAGE_FORMATS = ['jpg', 'webp'];
+const ANIMATION_FORMATS = ['gif', 'webp'];
+
+const HLS_SEGMENT_TYPES = ['ts', 'fmp4'];
+
+const FORMATS = ['video', 'audio', 'silent_video', 'subtitles', 'thumbnail', 'contact_sheet', 'preview', 'waveform', 'hls'];
+
+// Formats built from another format's downloaded file rather than fetched themselves
+const DERIVED_FORMATS = {
+    contact_sheet: 'video',
+    preview: 'video',
+    waveform: 'audio',
+    hls: 'video'
+};
+
+// Non-enum option specs: test() validates, description ends up in 400 bodies
+const languageList = {
+    description: 'non-empty array of language codes such as "en" or "pt-BR"',
+    test: (value) => Array.isArray(value) && value.length > 0 &&
+        value.every(lang => typeof lang === 'string' && /^[a-zA-Z]{2,3}(-[a-zA-Z0-9]+)*$/.test(lang))
+};
+
+const listOf = (values) => ({
+    description: `array containing any of: ${values.join(', ')}`,
+    test: (value) => Array.isArray(value) && value.every(item => values.includes(item))
+});
+
+const flag = {
+    description: 'true or false',
+    test: (value) => typeof value === 'boolean'
+};
+
+const intRange = (min, max) => ({
+    description: `integer from ${min} to ${max}`,
+    test: (value) => Number.isInteger(value) && value >= min && value <= max
+});
+
+const renditionList = {
+    description: `array of 1-4 distinct heights from: ${VIDEO_HEIGHTS.join(', ')}`,
+    test: (value) => Array.isArray(value) && value.length > 0 && value.length <= 4 &&
+        new Set(value).size === value.length && value.every(height => VIDEO_HEIGHTS.includes(height))
+};
+
+const timestamp = {
+    description: 'seconds or "HH:MM:SS(.mmm)"',
+    test: (value) => parseTimestamp(value) !== null
+};
+
+// Codecs each container can carry without surprises in players
+const CONTAINER_CODECS = {
+    mp4: ['any', 'h264', 'av1'],
+    webm: ['any', 'vp9', 'av1'],
+    mkv: VIDEO_CODECS
+};
+
+// What silent_video encodes to when the caller picks a container but no codec
+const CONTAINER_DEFAULT_CODECS = { mp4: 'h264', webm: 'vp9', mkv: 'h264' };
+
+const VIDEO_OPTIONS = {
+    max_height: VIDEO_HEIGHTS,
+    container: VIDEO_CONTAINERS,
+    video_codec: VIDEO_CODECS
+};
+
+const ALLOWED_OPTIONS = {
+    video: VIDEO_OPTIONS,
+    silent_video: VIDEO_OPTIONS,
+    audio: {
+        codec: AUDIO_CODECS,
+        bitrate: AUDIO_BITRATES,
+        normalize: flag,
+        target_lufs: intRange(-31, -5),
+        tags: flag
+    },
+    subtitles: {
+        languages: languageList,
+        source: SUBTITLE_SOURCES,
+        convert: listOf(SUBTITLE_CONVERSIONS),
+        embed: SUBTITLE_EMBEDS
+    },
+    thumbnail: {
+        timestamp,
+        image_format: IMAGE_FORMATS
+    },
+    contact_sheet: {
+        frames: intRange(2, 100),
+        columns: intRange(1, 10),
+        tile_width: intRange(80, 640),
+        image_format: IMAGE_FORMATS
+    },
+    preview: {
+        start: timestamp,
+        duration: intRange(1, 15),
+        width: intRange(120, 640),
+        fps: intRange(5, 30),
+        image_format: ANIMATION_FORMATS
+    },
+    waveform: {
+        pixels_per_second: intRange(1, 200),
+        bits: [8, 16],
+        png: flag,
+        png_width: intRange(200, 4000),
+        png_height: intRange(50, 1000)
+    },
+    hls: {
+        renditions: renditionList,
+        segment_type: HLS_SEGMENT_TYPES,
+        segment_duration: intRange(2, 10)
+    }
+};
+
+const DEFAULTS = {
+    video: { max_height: 1080, container: 'mp4', video_codec: 'any' },
+    silent_video: { max_height: null, container: 'mp4' },
+    audio: { codec: 'mp3', bitrate: 192, normalize: false, target_lufs: -23, tags: false },
+    subtitles: { languages: ['en'], source: 'any', convert: [], embed: 'none' },
+    thumbnail: { timestamp: null, image_format: 'jpg' },
+    contact_sheet: { frames: 16, columns: 4, tile_width: 320, image_format: 'jpg' },
+    preview: { start: 0, duration: 3, width: 320, fps: 10, image_format: 'gif' },
+    waveform: { pixels_per_second: 20, bits: 8, png: false, png_width: 1800, png_height: 280 },
+    hls: { renditions: [720], segment_type: 'ts', segment_duration: 6 }
+};
+
+const AUDIO_EXTENSIONS = { mp3: 'mp3', aac: 'm4a', opus: 'opus', flac: 'flac', wav: 'wav' };
+
+function resolveFormatOptions(format, options) {
+    const resolved = { ...DEFAULTS[format], ...(options || {}) };
+    if (format === 'silent_video' && resolved.video_codec === undefined) {
+        resolved.video_codec = CONTAINER_DEFAULT_CODECS[resolved.container];
+    }
+    return resolved;
+}
+
+// Check options against the allowed values; returns { options, errors }
+// where options only holds the formats the caller customised
+function validateFormatOptions(formats, raw) {
+    const errors = [];
+    const options = {};
+
+    const unknown = formats.filter(format => !FORMATS.includes(format));
+    if (unknown.length > 0) {
+        errors.push(`formats: ${unknown.map(f => JSON.stringify(f)).join(', ')} not supported (allowed: ${FORMATS.join(', ')})`);
+    }
+    for (const [format, source] of Object.entries(DERIVED_FORMATS)) {
+        if (formats.includes(format) && !formats.includes(source)) {
+            errors.push(`${format}: needs the ${source} format to be requested`);
+        }
+    }
+
+    if (raw === undefined || raw === null) return { options, errors };
+
+    if (typeof raw !== 'object' || Array.isArray(raw)) {
+        return { options, errors: ['format_options must be an object keyed by format name'] };
+    }
+
+    for (const [format, values] of Object.entries(raw)) {
+        const allowed = ALLOWED_OPTIONS[format];
+        if (!allowed) {
+            errors.push(`${format}: format does not accept options`);
+            continue;
+        }
+        if (!formats.includes(format)) {
+            errors.push(`${format}: options given for a format that was not requested`);
+            continue;
+        }
+        if (typeof values !== 'object' || values === null || Array.isArray(values)) {
+            errors.push(`${format}: options must be an object`);
+            continue;
+        }
+
+        for (const [key, value] of Object.entries(values)) {
+            const spec = allowed[key];
+            if (!spec) {
+                errors.push(`${format}.${key}: unknown option (allowed: ${Object.keys(allowed).join(', ')})`);
+            } else if (Array.isArray(spec) ? !spec.includes(value) : !spec.test(value)) {
+                errors.push(`${format}.${key}: ${JSON.stringify(value)} is not supported (allowed: ${Array.isArray(spec) ? spec.join(', ') : spec.description})`);
+            }
+        }
+
+        const resolved = resolveFormatOptions(format, values);
+
+        const containerCodecs = CONTAINER_CODECS[resolved.container];
+        if (allowed === VIDEO_OPTIONS && containerCodecs && !containerCodecs.includes(resolved.video_codec)) {
+            errors.push(`${format}: ${resolved.video_codec} cannot be stored in ${resolved.container} (allowed: ${containerCodecs.join(', ')})`);
+        }
+        if (format === 'audio' && values.bitrate !== undefined && LOSSLESS_AUDIO_CODECS.includes(resolved.codec)) {
+            errors.push(`audio.bitrate: not applicable to lossless codec ${resolved.codec}`);
+        }
+        if (format === 'audio' && values.target_lufs !== undefined && !resolved.normalize) {
+            errors.push('audio.target_lufs: only applies with normalize: true');
+        }
+        if (format === 'waveform' && (values.png_width !== undefined || values.png_height !== undefined) && !resolved.png) {
+            errors.push('waveform.png_width/png_height: only apply with png: true');
+        }
+        if (format === 'subtitles' && resolved.embed !== 'none' && !formats.includes('video')) {
+            errors.push(`subtitles.embed: "${resolved.embed}" needs the video format to be requested`);
+        }
+        if (format === 'thumbnail' && values.timestamp !== undefined && !formats.includes('video')) {
+            errors.push('thumbnail.timestamp: grabbing a frame needs the video format to be requested');
+        }
+
+        options[format] = resolved;
+    }
+
+    return { options, errors };
+}
+
+// yt-dlp -f selector: exact match first, then relax codec, then container
+function buildVideoSelector({ max_height: maxHeight, container, video_codec: videoCodec }) {
+    const height = maxHeight ? `[height<=${maxHeight}]` : '';
+    const codecFilters = {
+        any: '',
+        h264: '[vcodec^=avc1]',
+        vp9: "[vcodec~='^vp0?9']",
+        av1: '[vcodec^=av01]'
+    };
+    const codec = codecFilters[videoCodec];
+
+    return [
+        `best${height}${codec}[ext=${container}]`,
+        `bestvideo*${height}${codec}+bestaudio`,
+        `best${height}${codec}`,
+        `best${height}[ext=${container}]`,
+        `best${height}`,
+        'best'
+    ].join('/');
+}
+
+// Make sure the file on disk ends up in the requested container
+function ytDlpContainerArgs({ container }) {
+    return container === 'mkv'
+        ? ['--merge-output-format', 'mkv', '--remux-video', 'mkv']
+        : ['--merge-output-format', container, '--recode-video', container];
+}
+
+function ytDlpAudioArgs({ codec, bitrate }) {
+    return [
+        '--audio-format', codec,
+        '--audio-quality', LOSSLESS_AUDIO_CODECS.includes(codec) ? '0' : `${bitrate}K`
+    ];
+}
+
+function ffmpegAudioArgs({ codec, bitrate }) {
+    switch (codec) {
+        case 'aac':
+            return ['-c:a', 'aac', '-b:a', `${bitrate}k`];
+        case 'opus':
+            return ['-c:a', 'libopus', '-b:a', `${bitrate}k`];
+        case 'flac':
+            return ['-c:a', 'flac'];
+        case 'wav':
+            return ['-c:a', 'pcm_s16le'];
+        default:
+            return ['-c:a', 'libmp3lame', '-b:a', `${bitrate}k`, '-ar', '44100'];
+    }
+}
+
+// Downscale to maxHeight, never upscale
+const scaleFilter = (maxHeight) => `scale=-2:'min(${maxHeight},ih)'`;
+
+// Still image encoder settings for thumbnails and contact sheets
+function ffmpegImageArgs(imageFormat) {
+    return imageFormat === 'webp'
+        ? ['-c:v', 'libwebp', '-quality', '85']
+        : ['-q:v', '2'];
+}
+
+// Looping animation: GIFs get a palette built from the clip itself (palettegen)
+// instead of the generic 256-colour one, which avoids banding and dithering noise
+function ffmpegAnimationArgs({ width, fps, image_format: imageFormat }) {
+    const frames = `fps=${fps},scale=${width}:-2:flags=lanczos`;
+    if (imageFormat === 'webp') {
+        return ['-vf', frames, '-an', '-c:v', 'libwebp', '-lossless', '0', '-quality', '75', '-loop', '0'];
+    }
+    return [
+        '-filter_complex', `[0:v]${frames},split[frames][palette_in];[palette_in]palettegen=stats_mode=diff[palette];[frames][palette]paletteuse=dither=bayer:bayer_scale=5`,
+        '-an', '-loop', '0'
+    ];
+}
+
+function ffmpegVideoArgs({ max_height: maxHeight, container, video_codec: videoCodec }) {
+    const args = [];
+
+    if (maxHeight) {
+        args.push('-vf', scaleFilter(maxHeight));
+    }
+
+    // 'any' re-encodes to the container's most compatible codec
+    const codec = videoCodec === 'any' ? (container === 'webm' ? 'vp9' : 'h264') : videoCodec;
+    if (codec === 'vp9') {
+        args.push('-c:v', 'libvpx-vp9', '-crf', '32', '-b:v', '0', '-row-mt', '1');
+    } else if (codec === 'av1') {
+        args.push('-c:v', 'libaom-av1', '-crf', '35', '-b:v', '0', '-cpu-used', '6');
+    } else {
+        args.push('-c:v', 'libx264', '-crf', '23', '-preset', 'fast');
+    }
+
+    if (container === 'mp4') {
+        args.push('-movflags', '+faststart');
+    }
+
+    return args;
+}
+
+module.exports = {
+    FORMATS,
+    ALLOWED_OPTIONS,
+    AUDIO_EXTENSIONS,
+    validateFormatOptions,
+    resolveFormatOptions,
+    buildVideoSelector,
+    ytDlpContainerArgs,
+    ytDlpAudioArgs,
+    ffmpegAudioArgs,
+    ffmpegVideoArgs,
+    ffmpegImageArgs,
+    ffmpegAnimationArgs,
+    scaleFilter
+};
@@ -0,0 +1,87 @@
+// lib/hls.js - HLS packaging of a downloaded video and safe lookup of the
+// playlist/segment files it produces
+const path = require('path');
+
+// Video bitrate per rendition height (kbps) - also what the master playlist
+// advertises as BANDWIDTH, so players can pick a rendition
+const RENDITION_BITRATES = {
+    144: 200,
+    240: 400,
+    360: 800,
+    480: 1400,
+    720: 2800,
+    1080: 5000,
+    1440: 8000,
+    2160: 14000,
+    4320: 30000
+};
+
+const AUDIO_BITRATE = 128;
+
+const HLS_CONTENT_TYPES = {
+    '.m3u8': 'application/vnd.apple.mpegurl',
+    '.ts': 'video/mp2t',
+    '.m4s': 'video/iso.segment',
+    '.mp4': 'video/mp4'
+};
+
+// "master.m3u8", "stream_720p/playlist.m3u8", "stream_720p/segment_004.ts"
+const HLS_PATH_PATTERN = /^(stream_\d+p\/)?[\w-]+\.(m3u8|ts|m4s|mp4)$/;
+
+// ffmpeg arguments (after -i) that write master.m3u8 plus one
+// stream_<height>p/playlist.m3u8 per rendition into outputDir. Everything is
+// re-encoded to H.264/AAC, the one combination every HLS player handles.
+// audio: false packages video-only renditions for a source without sound
+function ffmpegHlsArgs({ renditions, segment_type: segmentType, segment_duration: segmentDuration }, outputDir, { audio = true } = {}) {
+    const heights = [...renditions].sort((a, b) => b - a);
+    const split = heights.map((height, index) => `[v${index}]`).join('');
+    const scales = heights.map((height, index) => `[v${index}]scale=-2:'min(${height},ih)'[v${index}out]`);
+
+    const args = ['-filter_complex', [`[0:v]split=${heights.length}${split}`, ...scales].join(';')];
+
+    heights.forEach((height, index) => {
+        const bitrate = RENDITION_BITRATES[height];
+        args.push(
+            '-map', `[v${index}out]`, ...(audio ? ['-map', '0:a:0?'] : []),
+            `-b:v:${index}`, `${bitrate}k`,
+            `-maxrate:v:${index}`, `${Math.round(bitrate * 1.07)}k`,
+            `-bufsize:v:${index}`, `${bitrate * 2}k`
+        );
+    });
+
+    const segmentExt = segmentType === 'fmp4' ? 'm4s' : 'ts';
+    args.push(
+        '-c:v', 'libx264', '-preset', 'veryfast', '-profile:v', 'main',
+        // Keyframe on every segment boundary so renditions switch cleanly
+        '-force_key_frames', `expr:gte(t,n_forced*${segmentDuration})`, '-sc_threshold', '0',
+        ...(audio ? ['-c:a', 'aac', '-ac', '2', '-b:a', `${AUDIO_BITRATE}k`] : []),
+        '-f', 'hls',
+        '-hls_time', String(segmentDuration),
+        '-hls_playlist_type', 'vod',
+        '-hls_segment_type', segmentType === 'fmp4' ? 'fmp4' : 'mpegts',
+        '-hls_segment_filename', path.join(outputDir, 'stream_%v', `segment_%03d.${segmentExt}`),
+        '-master_pl_name', 'master.m3u8',
+        '-var_stream_map', heights.map((height, index) => `v:${index},${audio ? `a:${index},` : ''}name:${height}p`).join(' ')
+    );
+    if (segmentType === 'fmp4') {
+        args.push('-hls_fmp4_init_filename', 'init.mp4');
+    }
+    args.push(path.join(outputDir, 'stream_%v', 'playlist.m3u8'));
+
+    return args;
+}
+
+// Map a requested path onto a file inside root, or null if it isn't one
+// of the names ffmpegHlsArgs produces
+function resolveHlsPath(root, requested) {
+    if (!HLS_PATH_PATTERN.test(requested)) return null;
+    const resolved = path.resolve(root, requested);
+    return resolved.startsWith(path.resolve(root) + path.sep) ? resolved : null;
+}
+
+module.exports = {
+    RENDITION_BITRATES,
+    HLS_CONTENT_TYPES,
+    ffmpegHlsArgs,
+    resolveHlsPath
+};
@@ -0,0 +1,76 @@
+// lib/job-events.js - Internal job event bus and Server-Sent Events helpers
+const { EventEmitter } = require('events');
+
+const ALL_JOBS = 'job';
+const jobChannel = (jobId) => `job:${jobId}`;
+
+function createJobEvents() {
+    const emitter = new EventEmitter();
+    // Every open SSE connection is a listener
+    emitter.setMaxListeners(0);
+
+    return {
+        publish(jobId, type, data = {}) {
+            const event = {
+                job_id: jobId,
+                type,
+                data,
+                timestamp: new Date().toISOString()
+            };
+            emitter.emit(jobChannel(jobId), event);
+            emitter.emit(ALL_JOBS, event);
+        },
+
+        // Both subscribe helpers return an unsubscribe function
+        subscribe(jobId, listener) {
+            emitter.on(jobChannel(jobId), listener);
+            return () => emitter.off(jobChannel(jobId), listener);
+        },
+
+        subscribeAll(listener) {
+            emitter.on(ALL_JOBS, listener);
+            return () => emitter.off(ALL_JOBS, listener);
+        }
+    };
+}
+
+// Switch a response into an SSE stream with a keep-alive comment so proxies
+// (Railway, nginx) don't drop idle connections
+function openEventStream(req, res, { heartbeatMs = 15000 } = {}) {
+    res.status(200);
+    res.setHeader('Content-Type', 'text/event-stream');
+    res.setHeader('Cache-Control', 'no-cache, no-transform');
+    res.setHeader('Connection', 'keep-alive');
+    res.setHeader('X-Accel-Buffering', 'no');
+    res.flushHeaders();
+
+    const cleanups = [];
+    let closed = false;
+
+    const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), heartbeatMs);
+
+    const close = () => {
+        if (closed) return;
+        closed = true;
+        clearInterval(heartbeat);
+        cleanups.forEach(cleanup => cleanup());
+        res.end();
+    };
+
+    req.on('close', close);
+
+    return {
+        send(event) {
+            if (closed) return;
+            res.write(`event: ${event.type}\n`);
+            res.write(`data: ${JSON.stringify(event)}\n\n`);
+        },
+        onClose: (cleanup) => cleanups.push(cleanup),
+        close
+    };
+}
+
+module.exports = {
+    createJobEvents,
+    openEventStream
+};
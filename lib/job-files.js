@@ -0,0 +1,93 @@
+// lib/job-files.js - Walk a job's `files` map, whose values are /files URLs or
+// nested objects/arrays of them (subtitles, segments, chapters, waveform)
+const fs = require('fs').promises;
+const path = require('path');
+
+// "/files/<jobId>/hls/master.m3u8" stands for the whole <jobId>_hls directory
+const HLS_URL_PATTERN = /^\/files\/([0-9a-f-]{36})\/hls\//;
+
+// Every /files URL in a files map, depth first, with the key it is listed
+// under ("audio", "subtitles.en.srt", "chapters[1].audio")
+function listFileEntries(files, key = '') {
+    if (typeof files === 'string') return files.startsWith('/files/') ? [{ key, url: files }] : [];
+    if (Array.isArray(files)) return files.flatMap((value, index) => listFileEntries(value, `${key}[${index}]`));
+    if (!files || typeof files !== 'object') return [];
+    return Object.entries(files).flatMap(([name, value]) => listFileEntries(value, key ? `${key}.${name}` : name));
+}
+
+const listFileUrls = (files) => listFileEntries(files).map(entry => entry.url);
+
+// Copy of a files map with every /files URL passed through fn
+function mapFileUrls(files, fn) {
+    if (typeof files === 'string') return files.startsWith('/files/') ? fn(files) : files;
+    if (Array.isArray(files)) return files.map(value => mapFileUrls(value, fn));
+    if (files && typeof files === 'object') {
+        return Object.fromEntries(Object.entries(files).map(([key, value]) => [key, mapFileUrls(value, fn)]));
+    }
+    return files;
+}
+
+// Name a /files URL is kept under in the download dir or storage backend -
+// HLS URLs stand for the job's whole "<jobId>_hls" directory
+function storageName(url) {
+    const hls = url.match(HLS_URL_PATTERN);
+    return hls ? `${hls[1]}_hls` : path.basename(url);
+}
+
+// Bytes under a file or directory; missing paths count as 0
+async function diskUsage(target) {
+    let stats;
+    try {
+        stats = await fs.lstat(target);
+    } catch {
+        return 0;
+    }
+    if (!stats.isDirectory()) return stats.size;
+
+    const entries = await fs.readdir(target);
+    const sizes = await Promise.all(entries.map(entry => diskUsage(path.join(target, entry))));
+    return sizes.reduce((total, size) => total + size, 0);
+}
+
+// Every file in fileStorage behind a job's files map, named relative to the
+// job: "<jobId>_18.mp4" becomes "18.mp4" and HLS output is listed file by
+// file under "hls/". storagePath is where the backend keeps it. Files that
+// are gone are returned with missing: true
+async function listJobFiles(fileStorage, jobId, files) {
+    const result = [];
+    for (const { key, url } of listFileEntries(files)) {
+        const storagePath = storageName(url);
+        const format = key.split(/[.[]/)[0];
+
+        if (HLS_URL_PATTERN.test(url)) {
+            const names = await fileStorage.listDirectory(storagePath);
+            if (!names) {
+                result.push({ key, format, name: 'hls/', storagePath, missing: true });
+                continue;
+            }
+            names.forEach(name => result.push({ key, format, name: `hls/${name}`, storagePath: `${storagePath}/${name}` }));
+            continue;
+        }
+
+        const name = storagePath.startsWith(`${jobId}_`) ? storagePath.slice(jobId.length + 1) : storagePath;
+        const exists = (await fileStorage.stat(storagePath)) !== null;
+        result.push({ key, format, name, storagePath, ...(exists ? {} : { missing: true }) });
+    }
+    return result;
+}
+
+// Bytes in downloadDir for everything a files map points at
+async function jobStorageBytes(downloadDir, files) {
+    const paths = new Set(listFileUrls(files).map(url => path.join(downloadDir, storageName(url))));
+    const sizes = await Promise.all([...paths].map(diskUsage));
+    return sizes.reduce((total, size) => total + size, 0);
+}
+
+module.exports = {
+    listFileUrls,
+    mapFileUrls,
+    storageName,
+    diskUsage,
+    listJobFiles,
+    jobStorageBytes
+};
@@ -0,0 +1,79 @@
+// lib/job-queue.js - FIFO download queue with a fixed number of worker slots
+
+// canStart(jobId, activeIds) can hold a job back (e.g. a per-key limit); the
+// oldest job it allows takes the free slot and the others keep their place
+function createJobQueue({ concurrency = 1, maxDepth = 50, worker, canStart = () => true }) {
+    const pending = [];
+    const active = new Set();
+
+    // Start queued jobs until every slot is busy
+    const pump = () => {
+        while (active.size < concurrency) {
+            const index = pending.findIndex(jobId => canStart(jobId, active));
+            if (index === -1) return;
+
+            const [jobId] = pending.splice(index, 1);
+            active.add(jobId);
+
+            Promise.resolve()
+                .then(() => worker(jobId))
+                .catch(error => {
+                    console.error(`❌ Queue worker error for job ${jobId.slice(0, 8)}...:`, error.message);
+                })
+                .finally(() => {
+                    active.delete(jobId);
+                    pump();
+                });
+        }
+    };
+
+    return {
+        concurrency,
+        maxDepth,
+
+        get depth() {
+            return pending.length;
+        },
+
+        get activeCount() {
+            return active.size;
+        },
+
+        isActive: (jobId) => active.has(jobId),
+
+        // Jobs that can be accepted now: free slots plus free waiting places.
+        // A maxDepth of 0 only accepts jobs that can start straight away
+        room: () => Math.max(0, maxDepth - pending.length) + Math.max(0, concurrency - active.size),
+
+        isFull() {
+            return this.room() === 0;
+        },
+
+        // Add a job to the back of the queue; returns its 1-based position,
+        // or 0 if it started straight away
+        enqueue(jobId) {
+            if (active.has(jobId) || pending.includes(jobId)) {
+                return this.position(jobId);
+            }
+            pending.push(jobId);
+            pump();
+            return this.position(jobId);
+        },
+
+        // Drop a job that has not started yet
+        remove(jobId) {
+            const index = pending.indexOf(jobId);
+            if (index === -1) return false;
+            pending.splice(index, 1);
+            return true;
+        },
+
+        position(jobId) {
+            return pending.indexOf(jobId) + 1;
+        }
+    };
+}
+
+module.exports = {
+    createJobQueue
+};
@@ -0,0 +1,168 @@
+// lib/job-store.js - Persistent job storage that survives restarts
+const fs = require('fs').promises;
+const path = require('path');
+
+// Memory backend keeps the original behaviour: nothing survives a restart
+function createMemoryBackend() {
+    return {
+        name: 'memory',
+        load: async () => [],
+        append: async () => {},
+        compact: async () => {}
+    };
+}
+
+// Append-only JSON lines file - every save appends the full job record and
+// the last record written for an id wins when the file is replayed
+function createFileBackend(filePath) {
+    return {
+        name: 'file',
+        filePath,
+
+        async load() {
+            let contents;
+            try {
+                contents = await fs.readFile(filePath, 'utf8');
+            } catch (error) {
+                if (error.code === 'ENOENT') return [];
+                throw error;
+            }
+
+            const records = new Map();
+            for (const line of contents.split('\n')) {
+                if (!line.trim()) continue;
+                try {
+                    const record = JSON.parse(line);
+                    if (record.deleted) {
+                        records.delete(record.id);
+                    } else {
+                        records.set(record.id, record);
+                    }
+                } catch {
+                    // A crash mid-write can leave a truncated last line
+                    console.warn('⚠️ Skipping corrupt job store record');
+                }
+            }
+            return Array.from(records.values());
+        },
+
+        async append(record) {
+            await fs.mkdir(path.dirname(filePath), { recursive: true });
+            await fs.appendFile(filePath, JSON.stringify(record) + '\n');
+        },
+
+        // Rewrite the log with one line per live job so it doesn't grow forever
+        async compact(records) {
+            await fs.mkdir(path.dirname(filePath), { recursive: true });
+            const tmpPath = `${filePath}.tmp`;
+            const body = records.map(record => JSON.stringify(record)).join('\n');
+            await fs.writeFile(tmpPath, body ? body + '\n' : '');
+            await fs.rename(tmpPath, filePath);
+        }
+    };
+}
+
+// Statuses that mean the job was still running when the process stopped
+const IN_FLIGHT_STATUSES = ['queued', 'processing', 'expanding'];
+
+function createBackend(type, options = {}) {
+    switch (type) {
+        case 'memory':
+            return createMemoryBackend();
+        case 'file':
+            return createFileBackend(options.filePath || './data/jobs.jsonl');
+        default:
+            throw new Error(`Unknown job store backend: ${type}`);
+    }
+}
+
+// Map-like job store; writes are serialized so records land in order.
+// The log is rewritten with one line per live job every compactEvery appends
+function createJobStore(backend, { compactEvery = 1000 } = {}) {
+    const jobs = new Map();
+    let writeQueue = Promise.resolve();
+    let appendsSinceCompact = 0;
+
+    const enqueueWrite = (task) => {
+        writeQueue = writeQueue.then(task).catch(error => {
+            console.error('❌ Job store write failed:', error.message);
+        });
+        return writeQueue;
+    };
+
+    const compact = () => {
+        appendsSinceCompact = 0;
+        return enqueueWrite(() => backend.compact(Array.from(jobs.values())));
+    };
+
+    const append = (record) => {
+        const written = enqueueWrite(() => backend.append(record));
+        return ++appendsSinceCompact >= compactEvery ? compact() : written;
+    };
+
+    return {
+        backend: backend.name,
+
+        get: (jobId) => jobs.get(jobId),
+        has: (jobId) => jobs.has(jobId),
+        values: () => jobs.values(),
+        get size() {
+            return jobs.size;
+        },
+
+        set(jobId, job) {
+            jobs.set(jobId, job);
+            return append(job);
+        },
+
+        // Persist in-place mutations of a job already in the store
+        save(job) {
+            if (!jobs.has(job.id)) return Promise.resolve();
+            return append(job);
+        },
+
+        delete(jobId) {
+            if (!jobs.delete(jobId)) return Promise.resolve();
+            return append({ id: jobId, deleted: true });
+        },
+
+        // Replay persisted jobs; anything caught mid-flight by the last shutdown
+        // is either flagged interrupted or handed back for re-queueing
+        async load({ requeue = false } = {}) {
+            const records = await backend.load();
+            const requeued = [];
+            let interrupted = 0;
+
+            for (const job of records) {
+                if (IN_FLIGHT_STATUSES.includes(job.status)) {
+                    if (requeue) {
+                        job.status = 'queued';
+                        job.progress = 0;
+                        job.requeuedAt = new Date().toISOString();
+                        requeued.push(job.id);
+                    } else {
+                        job.status = 'interrupted';
+                        job.error = 'Service restarted while the job was in progress';
+                        job.errorType = 'interrupted';
+                        job.interruptedAt = new Date().toISOString();
+                        interrupted++;
+                    }
+                }
+                jobs.set(job.id, job);
+            }
+
+            await compact();
+
+            return { restored: records.length, interrupted, requeued };
+        },
+
+        compact,
+
+        flush: () => writeQueue
+    };
+}
+
+module.exports = {
+    createBackend,
+    createJobStore
+};
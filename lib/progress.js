@@ -0,0 +1,111 @@
+// lib/progress.js - Parsers for yt-dlp and ffmpeg progress output
+
+const SIZE_UNITS = {
+    B: 1,
+    KIB: 1024,
+    MIB: 1024 ** 2,
+    GIB: 1024 ** 3,
+    TIB: 1024 ** 4,
+    KB: 1000,
+    MB: 1000 ** 2,
+    GB: 1000 ** 3,
+    TB: 1000 ** 4
+};
+
+// "10.52MiB" -> 11030994
+const parseSize = (value) => {
+    const match = /^([\d.]+)\s*([KMGT]?i?B)$/i.exec((value || '').trim());
+    if (!match) return null;
+    const multiplier = SIZE_UNITS[match[2].toUpperCase()];
+    return multiplier ? Math.round(parseFloat(match[1]) * multiplier) : null;
+};
+
+// "01:02:03.45" / "02:03" -> seconds
+const parseClock = (value) => {
+    if (!value || !/^[\d:.]+$/.test(value)) return null;
+    return value.split(':').reduce((total, part) => total * 60 + parseFloat(part), 0);
+};
+
+// yt-dlp --newline progress line, e.g.
+// [download]  45.3% of ~  10.52MiB at    1.23MiB/s ETA 00:05 (frag 3/20)
+// [download] 100% of   10.52MiB in 00:00:08 at 1.30MiB/s
+function parseYtDlpProgress(line) {
+    const match = /^\[download\]\s+([\d.]+)% of\s+~?\s*(\S+)(?:\s+at\s+(\S+))?(?:\s+ETA\s+(\S+))?/.exec(line);
+    if (!match) return null;
+
+    const percent = parseFloat(match[1]);
+    const totalBytes = parseSize(match[2]);
+    const speed = match[3] && match[3].endsWith('/s') ? parseSize(match[3].slice(0, -2)) : null;
+
+    return {
+        percent,
+        total_bytes: totalBytes,
+        downloaded_bytes: totalBytes !== null ? Math.round(totalBytes * percent / 100) : null,
+        speed_bytes_per_sec: speed,
+        eta_seconds: parseClock(match[4])
+    };
+}
+
+// "  Duration: 00:03:32.12, start: ..." on ffmpeg stderr
+function parseFfmpegDuration(line) {
+    const match = /Duration:\s*([\d:.]+)/.exec(line);
+    return match ? parseClock(match[1]) : null;
+}
+
+// Accumulates ffmpeg `-progress pipe:1` key=value lines and emits one
+// update per block (each block ends with progress=continue|end)
+function createFfmpegProgressParser(onUpdate) {
+    let block = {};
+    let durationSeconds = null;
+
+    return {
+        setDuration(seconds) {
+            if (seconds) durationSeconds = seconds;
+        },
+
+        stderrLine(line) {
+            const duration = parseFfmpegDuration(line);
+            if (duration && !durationSeconds) durationSeconds = duration;
+        },
+
+        stdoutLine(line) {
+            const separator = line.indexOf('=');
+            if (separator === -1) return;
+            const key = line.slice(0, separator).trim();
+            block[key] = line.slice(separator + 1).trim();
+
+            if (key !== 'progress') return;
+
+            const outTimeUs = parseInt(block.out_time_us || block.out_time_ms, 10);
+            const outSeconds = Number.isFinite(outTimeUs) ? outTimeUs / 1e6 : null;
+            const speedFactor = parseFloat(block.speed);
+            const done = block.progress === 'end';
+
+            let percent = null;
+            if (done) {
+                percent = 100;
+            } else if (durationSeconds && outSeconds !== null) {
+                percent = Math.min(99.9, Math.round((outSeconds / durationSeconds) * 1000) / 10);
+            }
+
+            onUpdate({
+                percent,
+                processed_seconds: outSeconds,
+                output_bytes: parseInt(block.total_size, 10) || null,
+                speed: Number.isFinite(speedFactor) ? `${speedFactor}x` : null,
+                eta_seconds: durationSeconds && outSeconds !== null && speedFactor > 0 && !done
+                    ? Math.round((durationSeconds - outSeconds) / speedFactor)
+                    : null
+            });
+            block = {};
+        }
+    };
+}
+
+module.exports = {
+    parseSize,
+    parseClock,
+    parseYtDlpProgress,
+    parseFfmpegDuration,
+    createFfmpegProgressParser
+};
@@ -0,0 +1,37 @@
+// lib/result-cache.js - Cache keys for download results: the video ID plus
+// every option that changes which files a job produces
+const crypto = require('crypto');
+const { resolveFormatOptions } = require('./format-options');
+
+// JSON with object keys sorted, so the order options were sent in doesn't
+// change the key
+const stableStringify = (value) => {
+    if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+    if (value && typeof value === 'object') {
+        const fields = Object.keys(value)
+            .filter(key => value[key] !== undefined)
+            .sort()
+            .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`);
+        return `{${fields.join(',')}}`;
+    }
+    return JSON.stringify(value === undefined ? null : value);
+};
+
+// "<videoId>:<hash>" - format options are filled in with their defaults so
+// leaving an option out and sending its default value share one entry
+function cacheKey(videoId, { formats, formatOptions, maxDuration, clip, splitChapters }) {
+    const sortedFormats = [...formats].sort();
+    const normalized = {
+        formats: sortedFormats,
+        format_options: Object.fromEntries(sortedFormats.map(format => [format, resolveFormatOptions(format, formatOptions[format])])),
+        max_duration: maxDuration || null,
+        clip: clip || null,
+        split_chapters: [...(splitChapters || [])].sort()
+    };
+    const digest = crypto.createHash('sha256').update(stableStringify(normalized)).digest('hex');
+    return `${videoId}:${digest.slice(0, 32)}`;
+}
+
+module.exports = {
+    cacheKey
+};
@@ -0,0 +1,63 @@
+// lib/signed-urls.js - HMAC-signed, expiring /files links that work without
+// an API key. Files carry ?expires=&signature=; HLS output carries them as a
+// path segment (/files/<jobId>/hls/<expires>.<signature>/master.m3u8) so the
+// relative segment URLs inside the playlists are covered by the same signature
+const crypto = require('crypto');
+
+const HLS_PREFIX_PATTERN = /^(\/files\/[0-9a-f-]{36}\/hls\/)(.*)$/;
+const HLS_TOKEN_PATTERN = /^(\d+)\.([\w-]{43})\/(.*)$/;
+
+function createUrlSigner(secret) {
+    const signatureFor = (scope, expires) =>
+        crypto.createHmac('sha256', secret).update(`${scope}\n${expires}`).digest('base64url');
+
+    const matches = (scope, expires, signature) => {
+        const expected = Buffer.from(signatureFor(scope, expires));
+        const given = Buffer.from(String(signature));
+        return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+    };
+
+    return {
+        // Signed copy of a plain /files URL, valid until `expires` (unix seconds)
+        sign(url, expires) {
+            const hls = url.match(HLS_PREFIX_PATTERN);
+            if (hls) return `${hls[1]}${expires}.${signatureFor(hls[1], expires)}/${hls[2]}`;
+            return `${url}?expires=${expires}&signature=${signatureFor(url, expires)}`;
+        },
+
+        // Check the signature on a request for pathname. Returns null when the
+        // request isn't signed, { error: 'invalid' | 'expired', expires } when it
+        // can't be used, or { path } - the pathname with any HLS token removed
+        verify(pathname, query) {
+            let scope;
+            let expires;
+            let signature;
+            let unsignedPath = pathname;
+
+            const hls = pathname.match(HLS_PREFIX_PATTERN);
+            const token = hls && hls[2].match(HLS_TOKEN_PATTERN);
+            if (token) {
+                scope = hls[1];
+                [, expires, signature] = token;
+                unsignedPath = hls[1] + token[3];
+            } else if (query.signature !== undefined || query.expires !== undefined) {
+                scope = pathname;
+                ({ expires, signature } = query);
+            } else {
+                return null;
+            }
+
+            if (typeof expires !== 'string' || !/^\d+$/.test(expires) || !matches(scope, expires, signature)) {
+                return { error: 'invalid' };
+            }
+            if (parseInt(expires) * 1000 < Date.now()) {
+                return { error: 'expired', expires: parseInt(expires) };
+            }
+            return { path: unsignedPath };
+        }
+    };
+}
+
+module.exports = {
+    createUrlSigner
+};
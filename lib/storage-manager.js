@@ -0,0 +1,221 @@
+// lib/storage-manager.js - Space used by completed jobs' files in the storage
+// backend: per-job retention (or pinning), a global byte budget enforced by
+// evicting the least recently used files, and a free-space floor on the local
+// download dir for accepting new jobs.
+// Cache hits list the files of the job that produced them, so files are
+// managed per producing job together with every job sharing them
+const fs = require('fs').promises;
+const { listFileUrls, storageName } = require('./job-files');
+const { createLocalStorage } = require('./file-storage');
+
+const HOUR = 60 * 60 * 1000;
+
+// Error message for a retention value (hours or "pin"), or null when valid
+function validateRetention(value, maxHours) {
+    if (value === 'pin') return null;
+    if (!Number.isInteger(value) || value < 1 || value > maxHours) {
+        return `retention must be a whole number of hours between 1 and ${maxHours}, or "pin" to keep the files until unpinned`;
+    }
+    return null;
+}
+
+function createStorageManager({ downloadDir, fileStorage, jobs, retentionHours, budgetBytes, minFreeBytes, onExpire }) {
+    // Where stray files can pile up: the backend, plus the download dir jobs
+    // write to before their files are moved to a remote backend
+    const areas = fileStorage.type === 'local' ? [fileStorage] : [fileStorage, createLocalStorage(downloadDir)];
+
+    // Last file download per producing job. Not persisted - after a restart
+    // jobs count as last used when they completed
+    const lastUsed = new Map();
+
+    const producerOf = (job) => job.cachedFrom || job.id;
+
+    // Completed jobs grouped by the job whose files they share. expiresAt is
+    // null for pinned groups; usedAt orders groups for eviction
+    function fileGroups() {
+        const groups = new Map();
+        for (const job of jobs.values()) {
+            // Playlist and batch parents list no files of their own
+            if (job.status !== 'completed' || job.children) continue;
+            const producerId = producerOf(job);
+            if (!groups.has(producerId)) {
+                groups.set(producerId, { producerId, jobs: [], files: job.files, bytes: 0, pinned: false, expiresAt: 0, usedAt: 0 });
+            }
+            const group = groups.get(producerId);
+            const completedAt = new Date(job.completedAt).getTime();
+            const hours = typeof job.retention === 'number' ? job.retention : retentionHours;
+
+            group.jobs.push(job);
+            group.bytes += job.storageBytes || 0;
+            group.pinned = group.pinned || job.retention === 'pin';
+            group.expiresAt = Math.max(group.expiresAt, completedAt + hours * HOUR);
+            group.usedAt = Math.max(group.usedAt, completedAt);
+        }
+        for (const group of groups.values()) {
+            group.usedAt = Math.max(group.usedAt, lastUsed.get(group.producerId) || 0);
+            if (group.pinned) group.expiresAt = null;
+        }
+        return groups;
+    }
+
+    // Lookups share one fileGroups() pass until the current tick ends, so
+    // building a response that covers many jobs doesn't rescan the store per job
+    let tickGroups = null;
+    function currentFileGroups() {
+        if (!tickGroups) {
+            tickGroups = fileGroups();
+            process.nextTick(() => {
+                tickGroups = null;
+            });
+        }
+        return tickGroups;
+    }
+
+    // Unpinned groups, least recently used first
+    const evictionOrder = (groups) => [...groups.values()]
+        .filter(group => !group.pinned)
+        .sort((a, b) => a.usedAt - b.usedAt);
+
+    // Mark every job sharing the files expired before deleting them, so no
+    // new cache hit can pick them up halfway
+    async function removeGroup(group, reason) {
+        const expiredAt = new Date().toISOString();
+        for (const job of group.jobs) {
+            job.status = 'expired';
+            job.expiredAt = expiredAt;
+            job.expiredReason = reason;
+            job.files = {};
+            onExpire(job);
+        }
+        lastUsed.delete(group.producerId);
+
+        const names = new Set(listFileUrls(group.files).map(storageName));
+        await Promise.all([...names].map(name => fileStorage.remove(name)));
+    }
+
+    // Space figures as of the last sweep, so /health never lists the bucket
+    let lastUsage = null;
+
+    async function measureUsage() {
+        const groups = [...fileGroups().values()];
+        const stats = await fs.statfs(downloadDir);
+        return {
+            backend: fileStorage.type,
+            usedBytes: await fileStorage.usage(),
+            pinnedBytes: groups.filter(group => group.pinned).reduce((total, group) => total + group.bytes, 0),
+            budgetBytes: budgetBytes || null,
+            freeBytes: stats.bavail * stats.bsize,
+            minFreeBytes: minFreeBytes || null,
+            measuredAt: new Date().toISOString()
+        };
+    }
+
+    async function runSweep() {
+        const now = Date.now();
+        const result = { expired: 0, evicted: 0, orphans: 0 };
+        let groups = fileGroups();
+
+        for (const group of groups.values()) {
+            if (group.expiresAt !== null && group.expiresAt <= now) {
+                await removeGroup(group, 'retention');
+                groups.delete(group.producerId);
+                result.expired += group.jobs.length;
+            }
+        }
+
+        if (budgetBytes) {
+            let used = await fileStorage.usage();
+            for (const group of evictionOrder(groups)) {
+                if (used <= budgetBytes) break;
+                await removeGroup(group, 'disk_budget');
+                groups.delete(group.producerId);
+                used -= group.bytes;
+                result.evicted += group.jobs.length;
+            }
+            if (used > budgetBytes) {
+                console.warn(`⚠️ Stored files use ${Math.round(used / 1024 / 1024)}MB of the ${Math.round(budgetBytes / 1024 / 1024)}MB budget - the rest is pinned or still downloading`);
+            }
+        }
+
+        // Files no completed job lists - leftovers from failed or cancelled
+        // jobs - go once they are older than the default retention
+        groups = fileGroups();
+        const referenced = new Set();
+        for (const group of groups.values()) {
+            listFileUrls(group.files).forEach(url => referenced.add(storageName(url)));
+        }
+        for (const area of areas) {
+            for (const { name, modifiedAt } of await area.list()) {
+                if (referenced.has(name) || now - modifiedAt <= retentionHours * HOUR) continue;
+                // HLS output is a directory per job
+                await area.remove(name);
+                result.orphans++;
+            }
+        }
+
+        try {
+            lastUsage = await measureUsage();
+        } catch (error) {
+            console.warn(`⚠️ Could not measure storage usage: ${error.message}`);
+        }
+
+        return result;
+    }
+
+    let running = null;
+    let rerun = false;
+
+    // Calls made while a sweep is running share it and trigger one more
+    // pass afterwards
+    function sweep() {
+        if (running) {
+            rerun = true;
+            return running;
+        }
+        running = runSweep().finally(() => {
+            running = null;
+            if (rerun) {
+                rerun = false;
+                sweep().catch(error => console.error('❌ Storage sweep failed:', error));
+            }
+        });
+        return running;
+    }
+
+    return {
+        // Expire files past their retention, evict least recently used files
+        // while over budget, and remove stray files
+        sweep,
+
+        // Record a download of a job's files for LRU eviction
+        touch(job) {
+            lastUsed.set(producerOf(job), Date.now());
+        },
+
+        // When a completed job's files will be deleted (ms), or null if pinned
+        expiresAt(job) {
+            const group = currentFileGroups().get(producerOf(job));
+            return group ? group.expiresAt : null;
+        },
+
+        // null when there is enough free space for new jobs, or the numbers
+        // to reject with
+        async checkFreeSpace() {
+            if (!minFreeBytes) return null;
+            const stats = await fs.statfs(downloadDir);
+            const freeBytes = stats.bavail * stats.bsize;
+            return freeBytes < minFreeBytes ? { freeBytes, minFreeBytes } : null;
+        },
+
+        // Space used and free as measured by the last sweep, or null before
+        // the first one
+        usage() {
+            return lastUsage;
+        }
+    };
+}
+
+module.exports = {
+    validateRetention,
+    createStorageManager
+};
@@ -0,0 +1,62 @@
+// lib/subtitles.js - WebVTT parsing and conversion to SRT / plain text
+
+const TIMING_LINE = /^((?:\d+:)?\d{2}:\d{2}\.\d{3})\s+-->\s+((?:\d+:)?\d{2}:\d{2}\.\d{3})/;
+
+// Strip VTT markup: inline timestamps (<00:00:01.500>), <c>, <b>, voice tags...
+const stripTags = (text) => text
+    .replace(/<[^>]+>/g, '')
+    .replace(/&amp;/g, '&')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&nbsp;/g, ' ')
+    .trim();
+
+function parseVtt(contents) {
+    const cues = [];
+    const blocks = contents.replace(/\r\n?/g, '\n').split(/\n{2,}/);
+
+    for (const block of blocks) {
+        const lines = block.split('\n');
+        const timingIndex = lines.findIndex(line => TIMING_LINE.test(line));
+        if (timingIndex === -1) continue; // WEBVTT header, NOTE, STYLE blocks
+
+        const [, start, end] = TIMING_LINE.exec(lines[timingIndex]);
+        const text = lines.slice(timingIndex + 1).map(stripTags).filter(Boolean);
+        if (text.length === 0) continue;
+
+        cues.push({ start, end, text });
+    }
+
+    return cues;
+}
+
+// "01:02.500" / "00:01:02.500" -> "00:01:02,500"
+const toSrtTime = (time) => {
+    const parts = time.split(':');
+    if (parts.length === 2) parts.unshift('00');
+    return parts.join(':').replace('.', ',');
+};
+
+function vttToSrt(contents) {
+    return parseVtt(contents)
+        .map((cue, index) => `${index + 1}\n${toSrtTime(cue.start)} --> ${toSrtTime(cue.end)}\n${cue.text.join('\n')}\n`)
+        .join('\n');
+}
+
+// Auto-generated captions repeat the previous line in each rolling cue,
+// so consecutive duplicate lines are collapsed
+function vttToText(contents) {
+    const lines = [];
+    for (const cue of parseVtt(contents)) {
+        for (const line of cue.text) {
+            if (lines[lines.length - 1] !== line) lines.push(line);
+        }
+    }
+    return lines.join('\n') + '\n';
+}
+
+module.exports = {
+    parseVtt,
+    vttToSrt,
+    vttToText
+};
@@ -0,0 +1,83 @@
+// lib/video-info.js - Normalizes yt-dlp --dump-json output into the API's video_info shape
+
+// "20091025" -> "2009-10-25"
+const formatUploadDate = (value) => {
+    if (!value || !/^\d{8}$/.test(value)) return null;
+    return `${value.slice(0, 4)}-${value.slice(4, 6)}-${value.slice(6, 8)}`;
+};
+
+// 212 -> "3:32", 3725 -> "1:02:05"
+const formatDuration = (seconds) => {
+    if (!Number.isFinite(seconds)) return null;
+    const total = Math.round(seconds);
+    const h = Math.floor(total / 3600);
+    const m = Math.floor((total % 3600) / 60);
+    const s = String(total % 60).padStart(2, '0');
+    return h > 0 ? `${h}:${String(m).padStart(2, '0')}:${s}` : `${m}:${s}`;
+};
+
+const normalizeFormat = (format) => ({
+    format_id: format.format_id,
+    ext: format.ext,
+    width: format.width || null,
+    height: format.height || null,
+    fps: format.fps || null,
+    vcodec: format.vcodec && format.vcodec !== 'none' ? format.vcodec : null,
+    acodec: format.acodec && format.acodec !== 'none' ? format.acodec : null,
+    abr: format.abr || null,
+    tbr: format.tbr || null,
+    filesize: format.filesize || format.filesize_approx || null,
+    format_note: format.format_note || null
+});
+
+function normalizeVideoInfo(raw) {
+    const thumbnails = (raw.thumbnails || [])
+        .filter(t => t.url)
+        .map(t => ({ url: t.url, width: t.width || null, height: t.height || null }))
+        .sort((a, b) => (b.width || 0) * (b.height || 0) - (a.width || 0) * (a.height || 0));
+
+    return {
+        id: raw.id,
+        title: raw.title,
+        description: raw.description || null,
+        channel: raw.channel || raw.uploader || null,
+        channel_id: raw.channel_id || null,
+        channel_url: raw.channel_url || raw.uploader_url || null,
+        duration: Number.isFinite(raw.duration) ? raw.duration : null,
+        duration_string: formatDuration(raw.duration),
+        upload_date: formatUploadDate(raw.upload_date),
+        view_count: raw.view_count ?? null,
+        like_count: raw.like_count ?? null,
+        is_live: Boolean(raw.is_live),
+        age_limit: raw.age_limit || 0,
+        thumbnail: raw.thumbnail || (thumbnails[0] && thumbnails[0].url) || null,
+        thumbnails,
+        chapters: (raw.chapters || []).map(chapter => ({
+            title: chapter.title,
+            start_time: chapter.start_time,
+            end_time: chapter.end_time
+        })),
+        formats: (raw.formats || [])
+            .filter(f => f.format_id && !(f.format_note || '').includes('storyboard'))
+            .map(normalizeFormat),
+        subtitles: {
+            manual: Object.keys(raw.subtitles || {}).filter(lang => lang !== 'live_chat'),
+            automatic: Object.keys(raw.automatic_captions || {})
+        },
+        extracted_at: new Date().toISOString()
+    };
+}
+
+// What a job keeps of video_info: the description, thumbnail list and format
+// list are left to GET /api/info, since the job is re-saved and sent with
+// every progress update
+function summarizeVideoInfo(info) {
+    const { description, thumbnails, formats, ...summary } = info;
+    return summary;
+}
+
+module.exports = {
+    formatDuration,
+    normalizeVideoInfo,
+    summarizeVideoInfo
+};
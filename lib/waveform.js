@@ -0,0 +1,74 @@
+// lib/waveform.js - Min/max peaks from raw PCM in the audiowaveform JSON
+// layout (version 2), which peaks.js and most waveform players read directly
+const fs = require('fs');
+
+// Sample rate the audio is decoded at before peak picking - plenty for a
+// display waveform and keeps the temporary PCM file small
+const WAVEFORM_SAMPLE_RATE = 16000;
+
+// Reads signed 16-bit little-endian mono PCM and keeps one min/max pair per
+// samplesPerPixel samples, scaled down to `bits` (8 or 16)
+function createPeaksAccumulator({ samplesPerPixel, bits }) {
+    const data = [];
+    const shift = bits === 8 ? 8 : 0;
+    let min = 0;
+    let max = 0;
+    let count = 0;
+    let leftover = null;
+
+    const flush = () => {
+        data.push(min >> shift, max >> shift);
+        min = 0;
+        max = 0;
+        count = 0;
+    };
+
+    return {
+        push(chunk) {
+            const buffer = leftover ? Buffer.concat([leftover, chunk]) : chunk;
+            const usable = buffer.length - (buffer.length % 2);
+            leftover = usable < buffer.length ? buffer.subarray(usable) : null;
+
+            for (let offset = 0; offset < usable; offset += 2) {
+                const sample = buffer.readInt16LE(offset);
+                if (sample < min) min = sample;
+                if (sample > max) max = sample;
+                if (++count === samplesPerPixel) flush();
+            }
+        },
+
+        result() {
+            if (count > 0) flush();
+            return {
+                version: 2,
+                channels: 1,
+                sample_rate: WAVEFORM_SAMPLE_RATE,
+                samples_per_pixel: samplesPerPixel,
+                bits,
+                length: data.length / 2,
+                data
+            };
+        }
+    };
+}
+
+// Stream a PCM file through the accumulator without loading it whole
+function computePeaks(pcmPath, { pixelsPerSecond, bits }) {
+    const accumulator = createPeaksAccumulator({
+        samplesPerPixel: Math.max(1, Math.round(WAVEFORM_SAMPLE_RATE / pixelsPerSecond)),
+        bits
+    });
+
+    return new Promise((resolve, reject) => {
+        fs.createReadStream(pcmPath)
+            .on('data', chunk => accumulator.push(chunk))
+            .on('error', reject)
+            .on('end', () => resolve(accumulator.result()));
+    });
+}
+
+module.exports = {
+    WAVEFORM_SAMPLE_RATE,
+    createPeaksAccumulator,
+    computePeaks
+};
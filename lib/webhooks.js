@@ -0,0 +1,181 @@
+// lib/webhooks.js - Signed webhook delivery with retry and backoff
+const crypto = require('crypto');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+
+const SIGNATURE_HEADER = 'X-Webhook-Signature';
+const TIMESTAMP_HEADER = 'X-Webhook-Timestamp';
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Loopback, private, link-local (cloud metadata), shared, multicast and
+// reserved ranges - callbacks may not reach into the service's own network
+const PRIVATE_RANGES = new net.BlockList();
+[
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+    ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16],
+    ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([address, prefix]) => PRIVATE_RANGES.addSubnet(address, prefix, 'ipv4'));
+[
+    ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => PRIVATE_RANGES.addSubnet(address, prefix, 'ipv6'));
+
+const isPrivateAddress = (address) => PRIVATE_RANGES.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+
+// dns.lookup that refuses hostnames resolving to a private address, so the
+// check holds for the address actually connected to
+function publicOnlyLookup(hostname, options, callback) {
+    dns.lookup(hostname, options, (error, address, family) => {
+        if (error) return callback(error);
+        const addresses = Array.isArray(address) ? address : [{ address, family }];
+        const blocked = addresses.find(entry => isPrivateAddress(entry.address));
+        if (blocked) return callback(new Error(`${hostname} resolves to private address ${blocked.address}`));
+        callback(null, address, family);
+    });
+}
+
+// POST body to url and resolve with the response status code. Redirects are
+// not followed
+function postJson(url, headers, body, { timeoutMs, allowPrivate }) {
+    return new Promise((resolve, reject) => {
+        const target = new URL(url);
+        const hostname = target.hostname.replace(/^\[|\]$/g, '');
+        // IP literals never reach the lookup
+        if (!allowPrivate && net.isIP(hostname) && isPrivateAddress(hostname)) {
+            return reject(new Error(`${hostname} is a private address`));
+        }
+
+        const client = target.protocol === 'https:' ? https : http;
+        const request = client.request(target, {
+            method: 'POST',
+            headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+            ...(allowPrivate ? {} : { lookup: publicOnlyLookup })
+        }, response => {
+            response.resume();
+            response.on('end', () => {
+                clearTimeout(timer);
+                resolve(response.statusCode);
+            });
+        });
+        const timer = setTimeout(() => request.destroy(new Error(`Timed out after ${timeoutMs}ms`)), timeoutMs);
+        request.on('error', error => {
+            clearTimeout(timer);
+            reject(error);
+        });
+        request.end(body);
+    });
+}
+
+// HMAC-SHA256 over "<timestamp>.<body>" so a captured request can't be
+// replayed later with a fresh timestamp
+function signPayload(secret, timestamp, body) {
+    const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+    return `sha256=${digest}`;
+}
+
+// Encrypt a callback's headers and secret (AES-256-GCM under a key derived
+// from any string) so the job store can keep them across restarts
+function sealCredentials(key, credentials) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', crypto.createHash('sha256').update(key).digest(), iv);
+    const data = Buffer.concat([cipher.update(JSON.stringify(credentials)), cipher.final()]);
+    return [iv, cipher.getAuthTag(), data].map(part => part.toString('base64url')).join('.');
+}
+
+// Credentials sealed by sealCredentials, or null when the key is different
+// or the value was altered
+function openCredentials(key, sealed) {
+    try {
+        const [iv, tag, data] = sealed.split('.').map(part => Buffer.from(part, 'base64url'));
+        const decipher = crypto.createDecipheriv('aes-256-gcm', crypto.createHash('sha256').update(key).digest(), iv);
+        decipher.setAuthTag(tag);
+        return JSON.parse(Buffer.concat([decipher.update(data), decipher.final()]).toString());
+    } catch {
+        return null;
+    }
+}
+
+// Hostnames resolving to private addresses are only caught at delivery;
+// private IP literals and localhost are rejected up front
+function validateCallback({ url, headers, secret }, { allowPrivate = false } = {}) {
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch {
+        return 'callback_url must be a valid URL';
+    }
+    if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+        return 'callback_url must use http or https';
+    }
+    const hostname = parsed.hostname.replace(/^\[|\]$/g, '').toLowerCase();
+    const isLocalName = hostname === 'localhost' || hostname.endsWith('.localhost');
+    if (!allowPrivate && (isLocalName || (net.isIP(hostname) && isPrivateAddress(hostname)))) {
+        return 'callback_url must not point at a private or loopback address';
+    }
+    if (headers !== undefined) {
+        if (typeof headers !== 'object' || headers === null || Array.isArray(headers)) {
+            return 'callback_headers must be an object of header names to string values';
+        }
+        if (Object.values(headers).some(value => typeof value !== 'string')) {
+            return 'callback_headers values must be strings';
+        }
+    }
+    if (secret !== undefined && (typeof secret !== 'string' || secret.length === 0)) {
+        return 'callback_secret must be a non-empty string';
+    }
+    return null;
+}
+
+// POST payload to url until a 2xx response or maxAttempts is reached.
+// onAttempt receives a record of every attempt so callers can persist it.
+// Private addresses are refused unless allowPrivate is set
+async function deliverWebhook({ url, headers = {}, secret, payload, maxAttempts = 5, baseDelayMs = 5000, timeoutMs = 10000, allowPrivate = false, onAttempt = () => {} }) {
+    const body = JSON.stringify(payload);
+
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+        const timestamp = Math.floor(Date.now() / 1000).toString();
+        const requestHeaders = {
+            ...headers,
+            'Content-Type': 'application/json',
+            'User-Agent': 'youtube-downloader-service-webhook',
+            [TIMESTAMP_HEADER]: timestamp
+        };
+        if (secret) {
+            requestHeaders[SIGNATURE_HEADER] = signPayload(secret, timestamp, body);
+        }
+
+        const startedAt = Date.now();
+        const record = { attempt, at: new Date(startedAt).toISOString() };
+
+        try {
+            record.status_code = await postJson(url, requestHeaders, body, { timeoutMs, allowPrivate });
+            record.ok = record.status_code >= 200 && record.status_code < 300;
+        } catch (error) {
+            record.ok = false;
+            record.error = error.message;
+        }
+        record.duration_ms = Date.now() - startedAt;
+        onAttempt(record);
+
+        if (record.ok) return true;
+
+        if (attempt < maxAttempts) {
+            // Exponential backoff: 5s, 10s, 20s, 40s...
+            await delay(baseDelayMs * 2 ** (attempt - 1));
+        }
+    }
+
+    return false;
+}
+
+module.exports = {
+    SIGNATURE_HEADER,
+    TIMESTAMP_HEADER,
+    signPayload,
+    sealCredentials,
+    openCredentials,
+    validateCallback,
+    deliverWebhook
+};
@@ -0,0 +1,72 @@
+// lib/youtube-url.js - Parse the YouTube URL shapes users paste (watch, shorts,
+// live, embed, youtu.be, mobile and music hosts) into the video or playlist ID
+// and a canonical URL without tracking parameters
+const VIDEO_ID_PATTERN = /^[\w-]{11}$/;
+const PLAYLIST_ID_PATTERN = /^[\w-]+$/;
+
+const YOUTUBE_HOSTS = ['youtube.com', 'www.youtube.com', 'm.youtube.com', 'music.youtube.com'];
+const EMBED_HOSTS = ['youtube-nocookie.com', 'www.youtube-nocookie.com'];
+const SHORT_HOSTS = ['youtu.be', 'www.youtu.be'];
+
+// /shorts/<id>, /live/<id>, /embed/<id> and /v/<id>, with an optional trailing slash
+const PATH_ID_PATTERN = /^\/(?:shorts|live|embed|v)\/([\w-]{11})\/?$/;
+
+// URL object for http(s) input, or null. A missing scheme ("youtu.be/...") is
+// treated as https
+function readUrl(input) {
+    if (typeof input !== 'string') return null;
+    const trimmed = input.trim();
+    if (!trimmed || trimmed.length > 2048) return null;
+
+    let url;
+    try {
+        url = new URL(/^[a-z][a-z\d+.-]*:/i.test(trimmed) ? trimmed : `https://${trimmed}`);
+    } catch {
+        return null;
+    }
+    if (!['http:', 'https:'].includes(url.protocol) || url.port || url.username || url.password) return null;
+    return url;
+}
+
+const watchUrl = (videoId) => `https://www.youtube.com/watch?v=${videoId}`;
+
+// { videoId, url } for a single-video URL, or null. Playlist context (&list=),
+// start times and tracking parameters (si, feature, pp...) are dropped
+function parseVideoUrl(input) {
+    const url = readUrl(input);
+    if (!url) return null;
+    const host = url.hostname.toLowerCase();
+
+    let videoId = null;
+    if (SHORT_HOSTS.includes(host)) {
+        const match = url.pathname.match(/^\/([\w-]{11})\/?$/);
+        videoId = match && match[1];
+    } else if (YOUTUBE_HOSTS.includes(host) || EMBED_HOSTS.includes(host)) {
+        if (url.pathname === '/watch' || url.pathname === '/watch/') {
+            videoId = YOUTUBE_HOSTS.includes(host) ? url.searchParams.get('v') : null;
+        } else {
+            const match = url.pathname.match(PATH_ID_PATTERN);
+            videoId = match && match[1];
+        }
+    }
+
+    if (!videoId || !VIDEO_ID_PATTERN.test(videoId)) return null;
+    return { videoId, url: watchUrl(videoId) };
+}
+
+// { playlistId, url } for a /playlist?list= URL, or null. Watch URLs that
+// carry &list= are single videos - see parseVideoUrl
+function parsePlaylistUrl(input) {
+    const url = readUrl(input);
+    if (!url || !YOUTUBE_HOSTS.includes(url.hostname.toLowerCase())) return null;
+    if (url.pathname !== '/playlist' && url.pathname !== '/playlist/') return null;
+
+    const playlistId = url.searchParams.get('list');
+    if (!playlistId || !PLAYLIST_ID_PATTERN.test(playlistId)) return null;
+    return { playlistId, url: `https://www.youtube.com/playlist?list=${playlistId}` };
+}
+
+module.exports = {
+    parseVideoUrl,
+    parsePlaylistUrl
+};
@@ -0,0 +1,25 @@
+// Generate an API key and the entry to add to API_KEYS / API_KEYS_FILE.
+// Usage: node scripts/create-api-key.js <name> [daily_jobs] [storage_mb] [concurrency] [--admin]
+const { generateApiKey, hashApiKey } = require('../lib/api-keys');
+
+const args = process.argv.slice(2);
+const admin = args.includes('--admin');
+const [name, dailyJobs, storageMb, concurrency] = args.filter(arg => arg !== '--admin');
+
+if (!name || !/^[\w.-]{1,64}$/.test(name)) {
+    console.error('Usage: node scripts/create-api-key.js <name> [daily_jobs] [storage_mb] [concurrency] [--admin]');
+    console.error('       name: 1-64 letters, digits, ".", "_" or "-"; limits default to the API_KEY_* settings, 0 = unlimited');
+    process.exit(1);
+}
+
+const key = generateApiKey();
+const entry = { name, key_hash: hashApiKey(key) };
+if (admin) entry.role = 'admin';
+if (dailyJobs !== undefined) entry.daily_jobs = parseInt(dailyJobs);
+if (storageMb !== undefined) entry.storage_mb = parseInt(storageMb);
+if (concurrency !== undefined) entry.concurrency = parseInt(concurrency);
+
+console.log(`🔑 API key for "${name}" (shown once - only the hash is stored):\n`);
+console.log(`   ${key}\n`);
+console.log('📋 Add this entry to your keys file or API_KEYS:\n');
+console.log(JSON.stringify(entry, null, 2));
@@ -0,0 +1,89 @@
+// Round trip against a real S3-compatible bucket: upload, stat, list, a
+// presigned GET, streaming and removal. Uses the S3_* settings, defaulting to
+// the MinIO service in docker-compose.yml (docker compose --profile s3 up -d).
+// Usage: node scripts/test-s3-storage.js
+const assert = require('assert');
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { createFileStorage } = require('../lib/file-storage');
+
+const options = {
+    bucket: process.env.S3_BUCKET || 'youtube-downloads',
+    region: process.env.S3_REGION || 'us-east-1',
+    endpoint: process.env.S3_ENDPOINT || 'http://localhost:9000',
+    accessKeyId: process.env.S3_ACCESS_KEY_ID || 'minioadmin',
+    secretAccessKey: process.env.S3_SECRET_ACCESS_KEY || 'minioadmin',
+    forcePathStyle: process.env.S3_FORCE_PATH_STYLE ? process.env.S3_FORCE_PATH_STYLE === 'true' : undefined,
+    prefix: process.env.S3_PREFIX || '',
+    // A folder of its own, so the check never touches real files
+    instanceId: `storage-test-${crypto.randomBytes(4).toString('hex')}`,
+    contentType: (name) => name.endsWith('.m3u8') ? 'application/vnd.apple.mpegurl' : 'video/mp4'
+};
+
+const readStream = async (stream) => {
+    const chunks = [];
+    for await (const chunk of stream) chunks.push(chunk);
+    return Buffer.concat(chunks).toString();
+};
+
+async function run(storage, workDir) {
+    const video = 'abc_18.mp4';
+    const body = 'fake video bytes';
+    await fs.writeFile(path.join(workDir, video), body);
+    await storage.save(video);
+    await assert.rejects(fs.access(path.join(workDir, video)), 'local copy removed after upload');
+    console.log('✅ Uploaded a file');
+
+    const stat = await storage.stat(video);
+    assert.strictEqual(stat && stat.bytes, body.length);
+    console.log('✅ Stat reports its size');
+
+    const response = await fetch(storage.presignUrl(video, Math.floor(Date.now() / 1000) + 300));
+    assert.strictEqual(response.status, 200, `presigned GET returned ${response.status}`);
+    assert.strictEqual(await response.text(), body);
+    assert.strictEqual(response.headers.get('content-disposition'), `attachment; filename="${video}"`);
+    console.log('✅ Presigned URL downloads it');
+
+    const tampered = new URL(storage.presignUrl(video, Math.floor(Date.now() / 1000) + 300));
+    tampered.searchParams.set('X-Amz-Expires', '600');
+    assert.strictEqual((await fetch(tampered)).status, 403, 'tampered presigned URL was accepted');
+    console.log('✅ Tampered presigned URL is refused');
+
+    const hls = 'abc_hls';
+    await fs.mkdir(path.join(workDir, hls, 'stream_720p'), { recursive: true });
+    await fs.writeFile(path.join(workDir, hls, 'master.m3u8'), '#EXTM3U\n');
+    await fs.writeFile(path.join(workDir, hls, 'stream_720p', 'segment 000.ts'), 'ts');
+    await storage.save(hls);
+    assert.deepStrictEqual(await storage.listDirectory(hls), ['master.m3u8', 'stream_720p/segment 000.ts']);
+    assert.strictEqual(await readStream(storage.createReadStream(`${hls}/stream_720p/segment 000.ts`)), 'ts');
+    const segment = await fetch(storage.presignUrl(`${hls}/stream_720p/segment 000.ts`, Math.floor(Date.now() / 1000) + 300));
+    assert.strictEqual(segment.status, 200, `presigned GET of an escaped key returned ${segment.status}`);
+    console.log('✅ HLS directory uploaded, listed and streamed');
+
+    assert.deepStrictEqual((await storage.list()).map(entry => entry.name).sort(), [video, hls].sort());
+    assert.strictEqual(await storage.usage(), body.length + '#EXTM3U\n'.length + 'ts'.length);
+    console.log('✅ Listing and usage cover only this instance');
+}
+
+async function main() {
+    const workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'ytd-s3-'));
+    const storage = createFileStorage('s3', { ...options, workDir });
+    console.log(`☁️ Testing bucket ${options.bucket} at ${options.endpoint} under ${options.prefix}${options.instanceId}/`);
+
+    try {
+        await run(storage, workDir);
+    } finally {
+        await Promise.all((await storage.list().catch(() => [])).map(entry => storage.remove(entry.name)));
+        await fs.rm(workDir, { recursive: true, force: true });
+    }
+
+    assert.deepStrictEqual(await storage.list(), []);
+    console.log('✅ Files removed');
+}
+
+main().catch(error => {
+    console.error(`❌ S3 storage check failed: ${error.message}`);
+    process.exit(1);
+});
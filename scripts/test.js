@@ -3,6 +3,11 @@ const axios = require('axios');
 const BASE_URL = process.env.BASE_URL || 'http://localhost:3000';
 const TEST_URL = 'https://www.youtube.com/watch?v=dQw4w9WgXcQ'; // Short test video
 
+// Needed when the service has API keys configured
+if (process.env.API_KEY) {
+    axios.defaults.headers.common['X-API-Key'] = process.env.API_KEY;
+}
+
 async function runTests() {
     console.log('🧪 Testing YouTube Downloader Service...\n');
     console.log(`🌐 Testing against: ${BASE_URL}\n`);
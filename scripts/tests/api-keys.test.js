@@ -0,0 +1,24 @@
+// lib/api-keys.js: where a request's key is read from
+const assert = require('assert');
+const { testCases } = require('./helpers');
+const { readApiKey } = require('../../lib/api-keys');
+
+const request = (headers, query = {}) => ({
+    query,
+    get: (name) => headers[name.toLowerCase()]
+});
+
+// [name, request, options, expected key]
+const cases = [
+    ['X-API-Key header', request({ 'x-api-key': ' ytd_a ' }), undefined, 'ytd_a'],
+    ['Bearer token', request({ authorization: 'bearer ytd_b' }), undefined, 'ytd_b'],
+    ['header wins over the query', request({ 'x-api-key': 'ytd_a' }, { api_key: 'ytd_q' }), { allowQuery: true }, 'ytd_a'],
+    ['other Authorization schemes', request({ authorization: 'Basic dXNlcg==' }), undefined, null],
+    ['query ignored by default', request({}, { api_key: 'ytd_q' }), undefined, null],
+    ['query when allowed', request({}, { api_key: 'ytd_q' }), { allowQuery: true }, 'ytd_q'],
+    ['repeated query parameter', request({}, { api_key: ['ytd_q', 'ytd_r'] }), { allowQuery: true }, null]
+];
+
+testCases('readApiKey', cases, (name, req, options, expected) => {
+    assert.strictEqual(readApiKey(req, options), expected);
+}, row => row[0]);
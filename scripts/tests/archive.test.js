@@ -0,0 +1,116 @@
+// lib/archive.js: ZIP and tar.gz bundles and the checksums in manifest.json
+const assert = require('assert');
+const crypto = require('crypto');
+const zlib = require('zlib');
+const { Readable } = require('stream');
+const { test } = require('node:test');
+const { createJobArchive } = require('../../lib/archive');
+
+const FILES = {
+    'store/abc_22.mp4': Buffer.from('fake video bytes '.repeat(100)),
+    'store/abc.en.vtt': Buffer.from('WEBVTT\n\n00:00:01.000 --> 00:00:02.000\nHello\n')
+};
+const ENTRIES = [
+    { name: 'video.mp4', storagePath: 'store/abc_22.mp4', format: 'video' },
+    { name: 'subtitles/en.vtt', storagePath: 'store/abc.en.vtt', format: 'subtitles', language: 'en' }
+];
+const MANIFEST = { job_id: 'abc', video_id: 'dQw4w9WgXcQ' };
+
+const openFile = (storagePath) => Readable.from([FILES[storagePath]]);
+const sha256 = (buffer) => crypto.createHash('sha256').update(buffer).digest('hex');
+
+async function collect(stream) {
+    const chunks = [];
+    for await (const chunk of stream) chunks.push(chunk);
+    return Buffer.concat(chunks);
+}
+
+// name -> contents of a ustar archive, in entry order
+function readTar(buffer) {
+    const files = new Map();
+    for (let offset = 0; offset + 512 <= buffer.length;) {
+        const header = buffer.subarray(offset, offset + 512);
+        if (header.every(byte => byte === 0)) break;
+        const field = (start, length) => header.subarray(start, start + length).toString().replace(/\0.*$/s, '');
+        const name = [field(345, 155), field(0, 100)].filter(Boolean).join('/');
+        const size = parseInt(field(124, 12), 8);
+        files.set(name, buffer.subarray(offset + 512, offset + 512 + size));
+        offset += 512 + Math.ceil(size / 512) * 512;
+    }
+    return files;
+}
+
+// name -> { method, contents } from a ZIP's central directory
+function readZip(buffer) {
+    const end = buffer.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+    const files = new Map();
+    let offset = buffer.readUInt32LE(end + 16);
+    for (let index = 0; index < buffer.readUInt16LE(end + 10); index++) {
+        const method = buffer.readUInt16LE(offset + 10);
+        const compressedSize = buffer.readUInt32LE(offset + 20);
+        const nameLength = buffer.readUInt16LE(offset + 28);
+        const local = buffer.readUInt32LE(offset + 42);
+        const name = buffer.subarray(offset + 46, offset + 46 + nameLength).toString();
+        const start = local + 30 + buffer.readUInt16LE(local + 26) + buffer.readUInt16LE(local + 28);
+        const data = buffer.subarray(start, start + compressedSize);
+        files.set(name, { method, contents: method === 8 ? zlib.inflateRawSync(data) : data });
+        offset += 46 + nameLength + buffer.readUInt16LE(offset + 30) + buffer.readUInt16LE(offset + 32);
+    }
+    return files;
+}
+
+function assertManifest(manifestJson) {
+    const manifest = JSON.parse(manifestJson);
+    assert.deepStrictEqual(manifest, {
+        ...MANIFEST,
+        files: [
+            { path: 'video.mp4', format: 'video', size: FILES['store/abc_22.mp4'].length, sha256: sha256(FILES['store/abc_22.mp4']) },
+            { path: 'subtitles/en.vtt', format: 'subtitles', language: 'en', size: FILES['store/abc.en.vtt'].length, sha256: sha256(FILES['store/abc.en.vtt']) }
+        ]
+    });
+}
+
+test('tar.gz holds every file and a manifest with their checksums last', async () => {
+    const { stream } = createJobArchive('tar.gz', ENTRIES, MANIFEST, openFile);
+    const files = readTar(zlib.gunzipSync(await collect(stream)));
+
+    assert.deepStrictEqual([...files.keys()], ['video.mp4', 'subtitles/en.vtt', 'manifest.json']);
+    assert.ok(files.get('video.mp4').equals(FILES['store/abc_22.mp4']));
+    assert.ok(files.get('subtitles/en.vtt').equals(FILES['store/abc.en.vtt']));
+    assertManifest(files.get('manifest.json'));
+});
+
+test('ZIP stores media as is and deflates text', async () => {
+    const { stream } = createJobArchive('zip', ENTRIES, MANIFEST, openFile);
+    const files = readZip(await collect(stream));
+
+    assert.deepStrictEqual([...files.keys()], ['video.mp4', 'subtitles/en.vtt', 'manifest.json']);
+    assert.strictEqual(files.get('video.mp4').method, 0);
+    assert.strictEqual(files.get('subtitles/en.vtt').method, 8);
+    assert.ok(files.get('video.mp4').contents.equals(FILES['store/abc_22.mp4']));
+    assert.ok(files.get('subtitles/en.vtt').contents.equals(FILES['store/abc.en.vtt']));
+    assertManifest(files.get('manifest.json').contents);
+});
+
+test('a file that can\'t be read fails the archive', async () => {
+    const failing = (storagePath) => storagePath === 'store/abc.en.vtt'
+        ? new Readable({ read() { this.destroy(new Error('file is gone')); } })
+        : openFile(storagePath);
+    const { stream } = createJobArchive('zip', ENTRIES, MANIFEST, failing);
+    await assert.rejects(collect(stream), /file is gone/);
+});
+
+test('abort closes the files that are open', async () => {
+    const opened = [];
+    const { stream, abort } = createJobArchive('tar.gz', ENTRIES, MANIFEST, () => {
+        const source = new Readable({ read() {} });
+        opened.push(source);
+        return source;
+    });
+    stream.resume();
+    await new Promise(resolve => setImmediate(resolve));
+
+    abort();
+    assert.strictEqual(opened.length, 1);
+    assert.strictEqual(opened[0].destroyed, true);
+});
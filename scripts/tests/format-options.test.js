@@ -0,0 +1,35 @@
+// Table-driven checks for lib/format-options.js
+const assert = require('assert');
+const { testCases } = require('./helpers');
+const { validateFormatOptions } = require('../../lib/format-options');
+
+// [formats, format_options, expected errors, expected resolved options (subset)]
+const cases = [
+    // Defaults follow the chosen container
+    [['silent_video'], { silent_video: { container: 'webm' } }, [], { silent_video: { container: 'webm', video_codec: 'vp9' } }],
+    [['silent_video'], { silent_video: { container: 'mkv' } }, [], { silent_video: { container: 'mkv', video_codec: 'h264' } }],
+    [['silent_video'], { silent_video: { max_height: 480 } }, [], { silent_video: { container: 'mp4', video_codec: 'h264' } }],
+    [['video'], { video: { container: 'webm' } }, [], { video: { container: 'webm', video_codec: 'any' } }],
+    [['audio'], { audio: { codec: 'aac' } }, [], { audio: { normalize: false, tags: false } }],
+
+    // Explicit codecs are checked against the container
+    [['silent_video'], { silent_video: { container: 'webm', video_codec: 'av1' } }, [], { silent_video: { video_codec: 'av1' } }],
+    [['silent_video'], { silent_video: { container: 'webm', video_codec: 'h264' } }, ['silent_video: h264 cannot be stored in webm (allowed: any, vp9, av1)'], null],
+    [['video'], { video: { container: 'mp4', video_codec: 'vp9' } }, ['video: vp9 cannot be stored in mp4 (allowed: any, h264, av1)'], null],
+
+    // Enum and combination errors
+    [['video'], { video: { max_height: 900 } }, ['video.max_height: 900 is not supported (allowed: 144, 240, 360, 480, 720, 1080, 1440, 2160, 4320)'], null],
+    [['audio'], { audio: { codec: 'flac', bitrate: 320 } }, ['audio.bitrate: not applicable to lossless codec flac'], null],
+    [['audio'], { video: {} }, ['video: options given for a format that was not requested'], null],
+    [['hls'], undefined, ['hls: needs the video format to be requested'], null]
+];
+
+testCases('validateFormatOptions', cases, (formats, raw, expectedErrors, expectedOptions) => {
+    const { options, errors } = validateFormatOptions(formats, raw);
+    assert.deepStrictEqual(errors, expectedErrors);
+    for (const [format, expected] of Object.entries(expectedOptions || {})) {
+        for (const [key, value] of Object.entries(expected)) {
+            assert.deepStrictEqual(options[format][key], value, `${format}.${key}`);
+        }
+    }
+}, ([formats, raw]) => `${JSON.stringify(formats)} ${JSON.stringify(raw)}`);
@@ -0,0 +1,15 @@
+// Shared helpers for the unit tests in this directory (node:test, no server needed).
+// Run them all with: npm run test:unit
+const { test } = require('node:test');
+
+// One test per row of a table of cases. label(row) names the test,
+// run(...row) makes the assertions
+function testCases(title, rows, run, label = (row) => JSON.stringify(row[0])) {
+    for (const row of rows) {
+        test(`${title}: ${label(row)}`, () => run(...row));
+    }
+}
+
+module.exports = {
+    testCases
+};
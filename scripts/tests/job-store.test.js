@@ -0,0 +1,115 @@
+// lib/job-store.js: replaying the JSONL log, in-flight recovery, deletes and compaction
+const assert = require('assert');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { test } = require('node:test');
+const { createBackend, createJobStore } = require('../../lib/job-store');
+
+async function withLog(run) {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'ytd-jobs-'));
+    try {
+        await run(path.join(dir, 'jobs.jsonl'));
+    } finally {
+        await fs.rm(dir, { recursive: true, force: true });
+    }
+}
+
+const readLines = async (filePath) => (await fs.readFile(filePath, 'utf8')).split('\n').filter(Boolean).map(line => JSON.parse(line));
+
+test('a missing log loads as an empty store', () => withLog(async (filePath) => {
+    const jobs = createJobStore(createBackend('file', { filePath }));
+    assert.deepStrictEqual(await jobs.load(), { restored: 0, interrupted: 0, requeued: [] });
+    assert.strictEqual(jobs.size, 0);
+}));
+
+test('replay keeps the last record per job and drops deleted jobs', () => withLog(async (filePath) => {
+    const jobs = createJobStore(createBackend('file', { filePath }));
+    const job = { id: 'a', status: 'completed', progress: 100 };
+    jobs.set('a', { id: 'a', status: 'queued', progress: 0 });
+    jobs.set('a', job);
+    jobs.set('b', { id: 'b', status: 'failed' });
+    job.progress = 99;
+    jobs.save(job);
+    jobs.delete('b');
+    jobs.save({ id: 'unknown', status: 'queued' });
+    await jobs.flush();
+
+    assert.strictEqual((await readLines(filePath)).length, 5);
+
+    const replayed = createJobStore(createBackend('file', { filePath }));
+    const { restored } = await replayed.load();
+    assert.strictEqual(restored, 1);
+    assert.deepStrictEqual(replayed.get('a'), { id: 'a', status: 'completed', progress: 99 });
+    assert.strictEqual(replayed.has('b'), false);
+    assert.strictEqual(replayed.has('unknown'), false);
+}));
+
+test('load marks in-flight jobs interrupted, or hands them back for requeueing', () => withLog(async (filePath) => {
+    const backend = createBackend('file', { filePath });
+    const jobs = createJobStore(backend);
+    jobs.set('q', { id: 'q', status: 'queued' });
+    jobs.set('p', { id: 'p', status: 'processing', progress: 40 });
+    jobs.set('c', { id: 'c', status: 'completed' });
+    await jobs.flush();
+    await fs.appendFile(filePath, '{"id":"trunc');
+
+    const interrupted = createJobStore(createBackend('file', { filePath }));
+    assert.deepStrictEqual(await interrupted.load(), { restored: 3, interrupted: 2, requeued: [] });
+    assert.strictEqual(interrupted.get('p').status, 'interrupted');
+    assert.strictEqual(interrupted.get('p').errorType, 'interrupted');
+    assert.strictEqual(interrupted.get('c').status, 'completed');
+
+    await fs.writeFile(filePath, [
+        { id: 'q', status: 'queued' },
+        { id: 'p', status: 'processing', progress: 40 }
+    ].map(record => JSON.stringify(record)).join('\n') + '\n');
+    const requeued = createJobStore(createBackend('file', { filePath }));
+    const result = await requeued.load({ requeue: true });
+    assert.deepStrictEqual(result.requeued.sort(), ['p', 'q']);
+    assert.strictEqual(requeued.get('p').status, 'queued');
+    assert.strictEqual(requeued.get('p').progress, 0);
+}));
+
+test('load compacts the log to one line per live job', () => withLog(async (filePath) => {
+    const jobs = createJobStore(createBackend('file', { filePath }));
+    for (let progress = 0; progress <= 100; progress += 10) {
+        jobs.set('a', { id: 'a', status: 'processing', progress });
+    }
+    jobs.set('b', { id: 'b', status: 'failed' });
+    jobs.delete('b');
+    await jobs.flush();
+
+    await createJobStore(createBackend('file', { filePath })).load();
+    const lines = await readLines(filePath);
+    assert.deepStrictEqual(lines.map(line => line.id), ['a']);
+    assert.strictEqual(lines[0].status, 'interrupted');
+}));
+
+test('the log is compacted every compactEvery appends', () => withLog(async (filePath) => {
+    const jobs = createJobStore(createBackend('file', { filePath }), { compactEvery: 5 });
+    const job = { id: 'a', status: 'processing', progress: 0 };
+    jobs.set('a', job);
+    for (let step = 1; step <= 6; step++) {
+        job.progress = step * 10;
+        jobs.save(job);
+    }
+    await jobs.flush();
+
+    // 5 appends, then a compaction down to 1 line, then 2 more appends
+    const lines = await readLines(filePath);
+    assert.strictEqual(lines.length, 3);
+    assert.strictEqual(lines[lines.length - 1].progress, 60);
+
+    const replayed = createJobStore(createBackend('file', { filePath }));
+    await replayed.load();
+    assert.strictEqual(replayed.get('a').progress, 60);
+}));
+
+test('the memory backend keeps nothing across stores', async () => {
+    const jobs = createJobStore(createBackend('memory'));
+    jobs.set('a', { id: 'a', status: 'queued' });
+    await jobs.flush();
+    const fresh = createJobStore(createBackend('memory'));
+    assert.deepStrictEqual(await fresh.load(), { restored: 0, interrupted: 0, requeued: [] });
+});
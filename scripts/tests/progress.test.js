@@ -0,0 +1,104 @@
+// lib/progress.js: yt-dlp progress lines and ffmpeg -progress blocks
+const assert = require('assert');
+const { test } = require('node:test');
+const { testCases } = require('./helpers');
+const {
+    parseSize,
+    parseClock,
+    parseYtDlpProgress,
+    parseFfmpegDuration,
+    createFfmpegProgressParser
+} = require('../../lib/progress');
+
+// [input, bytes or null]
+const sizeCases = [
+    ['10.52MiB', 11031020],
+    ['512KiB', 524288],
+    ['1.5GB', 1500000000],
+    ['  42B ', 42],
+    ['3mib', 3145728],
+    ['N/A', null],
+    ['', null],
+    [undefined, null]
+];
+
+testCases('parseSize', sizeCases, (input, expected) => {
+    assert.strictEqual(parseSize(input), expected);
+});
+
+// [input, seconds or null]
+const clockCases = [
+    ['00:05', 5],
+    ['02:03', 123],
+    ['01:02:03.45', 3723.45],
+    ['Unknown', null],
+    [null, null]
+];
+
+testCases('parseClock', clockCases, (input, expected) => {
+    assert.strictEqual(parseClock(input), expected);
+});
+
+// [line, parsed update or null]
+const ytDlpCases = [
+    [
+        '[download]  45.3% of ~  10.52MiB at    1.23MiB/s ETA 00:05 (frag 3/20)',
+        { percent: 45.3, total_bytes: 11031020, downloaded_bytes: 4997052, speed_bytes_per_sec: 1289748, eta_seconds: 5 }
+    ],
+    [
+        '[download] 100% of   10.52MiB in 00:00:08 at 1.30MiB/s',
+        { percent: 100, total_bytes: 11031020, downloaded_bytes: 11031020, speed_bytes_per_sec: null, eta_seconds: null }
+    ],
+    [
+        '[download]   3.0% of Unknown at Unknown B/s ETA Unknown',
+        { percent: 3, total_bytes: null, downloaded_bytes: null, speed_bytes_per_sec: null, eta_seconds: null }
+    ],
+    ['[download] Destination: /tmp/abc_18.mp4', null],
+    ['[youtube] dQw4w9WgXcQ: Downloading webpage', null]
+];
+
+testCases('parseYtDlpProgress', ytDlpCases, (line, expected) => {
+    assert.deepStrictEqual(parseYtDlpProgress(line), expected);
+});
+
+test('parseFfmpegDuration reads the input duration', () => {
+    assert.strictEqual(parseFfmpegDuration('  Duration: 00:03:32.12, start: 0.000000, bitrate: 128 kb/s'), 212.12);
+    assert.strictEqual(parseFfmpegDuration('Stream #0:0: Audio: aac'), null);
+});
+
+const feed = (parser, lines) => lines.split('\n').forEach(line => parser.stdoutLine(line));
+
+test('ffmpeg progress emits one update per block', () => {
+    const updates = [];
+    const parser = createFfmpegProgressParser(update => updates.push(update));
+    parser.stderrLine('  Duration: 00:01:40.00, start: 0.000');
+
+    feed(parser, 'out_time_us=25000000\ntotal_size=1048576\nspeed=2.5x\nprogress=continue');
+    feed(parser, 'out_time_us=100000000\ntotal_size=4194304\nspeed=2.5x\nprogress=end');
+
+    assert.deepStrictEqual(updates, [
+        { percent: 25, processed_seconds: 25, output_bytes: 1048576, speed: '2.5x', eta_seconds: 30 },
+        { percent: 100, processed_seconds: 100, output_bytes: 4194304, speed: '2.5x', eta_seconds: null }
+    ]);
+});
+
+test('ffmpeg progress without a duration has no percent or ETA', () => {
+    const updates = [];
+    const parser = createFfmpegProgressParser(update => updates.push(update));
+    feed(parser, 'out_time_ms=5000000\nspeed=N/A\nprogress=continue');
+
+    assert.deepStrictEqual(updates, [
+        { percent: null, processed_seconds: 5, output_bytes: null, speed: null, eta_seconds: null }
+    ]);
+});
+
+test('ffmpeg progress prefers a known duration over the one on stderr and stays below 100 until the end', () => {
+    const updates = [];
+    const parser = createFfmpegProgressParser(update => updates.push(update));
+    parser.setDuration(10);
+    parser.stderrLine('  Duration: 00:01:40.00, start: 0.000');
+    feed(parser, 'out_time_us=10000000\nspeed=1x\nprogress=continue');
+
+    assert.strictEqual(updates[0].percent, 99.9);
+    assert.strictEqual(updates[0].eta_seconds, 0);
+});
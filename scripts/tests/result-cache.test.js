@@ -0,0 +1,76 @@
+// lib/result-cache.js: requests that produce the same files share a cache key,
+// and any option that changes the files gives a new one
+const assert = require('assert');
+const { test } = require('node:test');
+const { testCases } = require('./helpers');
+const { cacheKey } = require('../../lib/result-cache');
+
+const VIDEO_ID = 'dQw4w9WgXcQ';
+
+const request = (overrides = {}) => ({
+    formats: ['video', 'audio'],
+    formatOptions: {},
+    maxDuration: 0,
+    clip: null,
+    splitChapters: [],
+    ...overrides
+});
+
+test('keys are the video ID plus a hash of the options', () => {
+    assert.match(cacheKey(VIDEO_ID, request()), new RegExp(`^${VIDEO_ID}:[0-9a-f]{32}$`));
+});
+
+// [name, request that must share the key of request()]
+const sameCases = [
+    ['formats in another order', request({ formats: ['audio', 'video'] })],
+    ['options sent at their defaults', request({ formatOptions: { video: { max_height: 1080, container: 'mp4' }, audio: { codec: 'mp3', bitrate: 192 } } })],
+    ['options for formats not requested', request({ formatOptions: { thumbnail: { format: 'png' } } })],
+    ['no max duration', request({ maxDuration: undefined })],
+    ['no clip or chapter split', request({ clip: undefined, splitChapters: undefined })]
+];
+
+testCases('same key for', sameCases, (name, same) => {
+    assert.strictEqual(cacheKey(VIDEO_ID, same), cacheKey(VIDEO_ID, request()));
+}, row => row[0]);
+
+test('option and chapter order don\'t matter', () => {
+    const a = request({ formatOptions: { audio: { bitrate: 320, codec: 'opus' } }, splitChapters: ['video', 'audio'] });
+    const b = request({ formatOptions: { audio: { codec: 'opus', bitrate: 320 } }, splitChapters: ['audio', 'video'] });
+    assert.strictEqual(cacheKey(VIDEO_ID, a), cacheKey(VIDEO_ID, b));
+});
+
+test('silent_video\'s default codec follows its container', () => {
+    const defaults = request({ formats: ['silent_video'], formatOptions: { silent_video: { container: 'webm' } } });
+    const explicit = request({ formats: ['silent_video'], formatOptions: { silent_video: { container: 'webm', video_codec: 'vp9' } } });
+    const other = request({ formats: ['silent_video'], formatOptions: { silent_video: { container: 'webm', video_codec: 'av1' } } });
+    assert.strictEqual(cacheKey(VIDEO_ID, defaults), cacheKey(VIDEO_ID, explicit));
+    assert.notStrictEqual(cacheKey(VIDEO_ID, defaults), cacheKey(VIDEO_ID, other));
+});
+
+// [name, request that must get a key other than request()'s]
+const differentCases = [
+    ['another format set', request({ formats: ['video'] })],
+    ['a lower max height', request({ formatOptions: { video: { max_height: 720 } } })],
+    ['another audio codec', request({ formatOptions: { audio: { codec: 'opus' } } })],
+    ['a max duration', request({ maxDuration: 600 })],
+    ['a clip', request({ clip: { segments: [{ start: 10, end: 20 }], concat: false } })],
+    ['a chapter split', request({ splitChapters: ['audio'] })]
+];
+
+testCases('different key for', differentCases, (name, different) => {
+    assert.notStrictEqual(cacheKey(VIDEO_ID, different), cacheKey(VIDEO_ID, request()));
+}, row => row[0]);
+
+test('clips differing in a range or in concatenation get their own keys', () => {
+    const segments = [{ start: 10, end: 20 }, { start: 30, end: 40 }];
+    const keys = new Set([
+        cacheKey(VIDEO_ID, request({ clip: { segments, concat: false } })),
+        cacheKey(VIDEO_ID, request({ clip: { segments, concat: true } })),
+        cacheKey(VIDEO_ID, request({ clip: { segments: [segments[0], { start: 30, end: 41 }], concat: false } }))
+    ]);
+    assert.strictEqual(keys.size, 3);
+});
+
+test('another video never shares a key', () => {
+    assert.notStrictEqual(cacheKey('aaaaaaaaaaa', request()), cacheKey(VIDEO_ID, request()));
+});
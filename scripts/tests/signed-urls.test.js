@@ -0,0 +1,67 @@
+// lib/signed-urls.js: signing /files links and refusing tampered or expired ones
+const assert = require('assert');
+const { test } = require('node:test');
+const { testCases } = require('./helpers');
+const { createUrlSigner } = require('../../lib/signed-urls');
+
+const JOB_ID = '550e8400-e29b-41d4-a716-446655440000';
+const FILE = `/files/${JOB_ID}_22.mp4`;
+const HLS = `/files/${JOB_ID}/hls/master.m3u8`;
+
+const signer = createUrlSigner('test-secret');
+const inAnHour = () => Math.floor(Date.now() / 1000) + 3600;
+
+// Split a signed URL into the pathname and query verify() receives
+const request = (url) => {
+    const parsed = new URL(url, 'http://localhost');
+    return [parsed.pathname, Object.fromEntries(parsed.searchParams)];
+};
+
+test('a signed file link verifies to its own path', () => {
+    const url = signer.sign(FILE, inAnHour());
+    assert.match(url, /^\/files\/[\w-]+_22\.mp4\?expires=\d+&signature=[\w-]{43}$/);
+    assert.deepStrictEqual(signer.verify(...request(url)), { path: FILE });
+});
+
+test('a signed HLS link covers every file under the job\'s hls directory', () => {
+    const expires = inAnHour();
+    const url = signer.sign(HLS, expires);
+    assert.match(url, new RegExp(`^/files/${JOB_ID}/hls/${expires}\\.[\\w-]{43}/master\\.m3u8$`));
+    assert.deepStrictEqual(signer.verify(...request(url)), { path: HLS });
+
+    const segment = url.replace('master.m3u8', 'stream_720p/segment_000.ts');
+    assert.deepStrictEqual(signer.verify(...request(segment)), { path: `/files/${JOB_ID}/hls/stream_720p/segment_000.ts` });
+});
+
+test('unsigned requests are left to API key auth', () => {
+    assert.strictEqual(signer.verify(FILE, {}), null);
+    assert.strictEqual(signer.verify(HLS, {}), null);
+});
+
+// [name, turn a freshly signed file URL into the tampered request]
+const tamperCases = [
+    ['another file', (url) => url.replace('_22.mp4', '_18.mp4')],
+    ['a later expiry', (url) => url.replace(/expires=(\d+)/, (_, expires) => `expires=${Number(expires) + 3600}`)],
+    ['a changed signature', (url) => url.replace(/signature=(.)/, (_, first) => `signature=${first === 'A' ? 'B' : 'A'}`)],
+    ['a truncated signature', (url) => url.slice(0, -1)],
+    ['no signature', (url) => url.replace(/&signature=.*$/, '')],
+    ['no expiry', (url) => url.replace(/expires=\d+&/, '')],
+    ['a non-numeric expiry', (url) => url.replace(/expires=\d+/, 'expires=1e12')],
+    ['another secret', (url) => createUrlSigner('other-secret').sign(FILE, request(url)[1].expires)]
+];
+
+testCases('tampered file link is invalid', tamperCases, (name, tamper) => {
+    assert.deepStrictEqual(signer.verify(...request(tamper(signer.sign(FILE, inAnHour())))), { error: 'invalid' });
+}, row => row[0]);
+
+test('a signed HLS link can\'t be moved to another job', () => {
+    const otherJob = '6ba7b810-9dad-11d1-80b4-00c04fd430c8';
+    const url = signer.sign(HLS, inAnHour()).replace(JOB_ID, otherJob);
+    assert.deepStrictEqual(signer.verify(...request(url)), { error: 'invalid' });
+});
+
+test('expired links report when they expired', () => {
+    const expires = Math.floor(Date.now() / 1000) - 60;
+    assert.deepStrictEqual(signer.verify(...request(signer.sign(FILE, expires))), { error: 'expired', expires });
+    assert.deepStrictEqual(signer.verify(...request(signer.sign(HLS, expires))), { error: 'expired', expires });
+});
@@ -0,0 +1,83 @@
+// lib/subtitles.js: WebVTT parsing and the SRT / plain text conversions
+const assert = require('assert');
+const { test } = require('node:test');
+const { parseVtt, vttToSrt, vttToText } = require('../../lib/subtitles');
+
+const MANUAL = [
+    'WEBVTT',
+    'Kind: captions',
+    'Language: en',
+    '',
+    'NOTE written by hand',
+    '',
+    'STYLE',
+    '::cue { color: yellow }',
+    '',
+    'intro',
+    '00:00:01.000 --> 00:00:03.500 align:start position:0%',
+    '<v Rick>Never gonna give you up</v>',
+    'Fish &amp; chips &lt;3',
+    '',
+    '01:02.250 --> 01:04.000',
+    '<b>Never</b> gonna let you down',
+    '',
+    '00:01:05.000 --> 00:01:06.000',
+    '<c.colorE5E5E5></c>',
+    ''
+].join('\r\n');
+
+// YouTube's automatic captions: each cue repeats the line before it and
+// carries per-word timestamps, and the first line of a cue can be blank
+const AUTO = `WEBVTT
+Kind: captions
+Language: en
+
+00:00:00.320 --> 00:00:02.270 align:start position:0%
+${' '}
+we're<00:00:00.640><c> no</c><00:00:00.960><c> strangers</c>
+
+00:00:02.270 --> 00:00:02.280 align:start position:0%
+we're no strangers
+
+00:00:02.280 --> 00:00:04.500 align:start position:0%
+we're no strangers
+to<00:00:02.800><c> love</c>
+`;
+
+test('parseVtt keeps cues and skips header, NOTE, STYLE and empty cues', () => {
+    assert.deepStrictEqual(parseVtt(MANUAL), [
+        { start: '00:00:01.000', end: '00:00:03.500', text: ['Never gonna give you up', 'Fish & chips <3'] },
+        { start: '01:02.250', end: '01:04.000', text: ['Never gonna let you down'] }
+    ]);
+});
+
+test('parseVtt strips inline timestamps from automatic captions', () => {
+    assert.deepStrictEqual(parseVtt(AUTO).map(cue => cue.text), [
+        ["we're no strangers"],
+        ["we're no strangers"],
+        ["we're no strangers", 'to love']
+    ]);
+});
+
+test('vttToSrt numbers cues and uses comma timestamps with hours', () => {
+    assert.strictEqual(vttToSrt(MANUAL), [
+        '1',
+        '00:00:01,000 --> 00:00:03,500',
+        'Never gonna give you up',
+        'Fish & chips <3',
+        '',
+        '2',
+        '00:01:02,250 --> 00:01:04,000',
+        'Never gonna let you down',
+        ''
+    ].join('\n'));
+});
+
+test('vttToText collapses the repeated lines of rolling captions', () => {
+    assert.strictEqual(vttToText(AUTO), "we're no strangers\nto love\n");
+});
+
+test('an empty file has no cues', () => {
+    assert.deepStrictEqual(parseVtt('WEBVTT\n\n'), []);
+    assert.strictEqual(vttToSrt('WEBVTT\n\n'), '');
+});
@@ -0,0 +1,71 @@
+// lib/waveform.js: min/max peak picking from 16-bit PCM
+const assert = require('assert');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { test } = require('node:test');
+const { WAVEFORM_SAMPLE_RATE, createPeaksAccumulator, computePeaks } = require('../../lib/waveform');
+
+const pcm = (samples) => Buffer.from(Int16Array.from(samples).buffer);
+
+test('one min/max pair per samplesPerPixel samples, the last pixel partial', () => {
+    const accumulator = createPeaksAccumulator({ samplesPerPixel: 2, bits: 16 });
+    accumulator.push(pcm([100, -200, 300, 50, -7]));
+
+    assert.deepStrictEqual(accumulator.result(), {
+        version: 2,
+        channels: 1,
+        sample_rate: WAVEFORM_SAMPLE_RATE,
+        samples_per_pixel: 2,
+        bits: 16,
+        length: 3,
+        data: [-200, 100, 0, 300, -7, 0]
+    });
+});
+
+test('8-bit peaks are scaled down from the full 16-bit range', () => {
+    const accumulator = createPeaksAccumulator({ samplesPerPixel: 3, bits: 8 });
+    accumulator.push(pcm([32767, -32768, 256, -256, 255, -255]));
+
+    const { data, bits } = accumulator.result();
+    assert.strictEqual(bits, 8);
+    assert.deepStrictEqual(data, [-128, 127, -1, 0]);
+});
+
+test('samples split across chunks are joined back together', () => {
+    const samples = [1000, -2000, 3000, -4000, 5000, -6000, 7000];
+    const whole = createPeaksAccumulator({ samplesPerPixel: 3, bits: 16 });
+    whole.push(pcm(samples));
+
+    const bytes = pcm(samples);
+    const split = createPeaksAccumulator({ samplesPerPixel: 3, bits: 16 });
+    for (let offset = 0; offset < bytes.length; offset += 3) {
+        split.push(bytes.subarray(offset, offset + 3));
+    }
+
+    assert.deepStrictEqual(split.result(), whole.result());
+});
+
+test('no audio gives an empty waveform', () => {
+    const { length, data } = createPeaksAccumulator({ samplesPerPixel: 160, bits: 8 }).result();
+    assert.strictEqual(length, 0);
+    assert.deepStrictEqual(data, []);
+});
+
+test('computePeaks streams a PCM file at the requested pixels per second', async () => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'ytd-waveform-'));
+    try {
+        // Two seconds of a rising ramp
+        const samples = Array.from({ length: WAVEFORM_SAMPLE_RATE * 2 }, (_, index) => Math.floor(index / 2));
+        const pcmPath = path.join(dir, 'audio.pcm');
+        await fs.writeFile(pcmPath, pcm(samples));
+
+        const peaks = await computePeaks(pcmPath, { pixelsPerSecond: 10, bits: 16 });
+        assert.strictEqual(peaks.samples_per_pixel, WAVEFORM_SAMPLE_RATE / 10);
+        assert.strictEqual(peaks.length, 20);
+        assert.deepStrictEqual(peaks.data.slice(0, 4), [0, 799, 0, 1599]);
+        assert.strictEqual(peaks.data[peaks.data.length - 1], samples[samples.length - 1]);
+    } finally {
+        await fs.rm(dir, { recursive: true, force: true });
+    }
+});
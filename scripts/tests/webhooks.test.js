@@ -0,0 +1,122 @@
+// lib/webhooks.js: payload signatures, sealed callback credentials and
+// delivery retries against a local HTTP server
+const assert = require('assert');
+const http = require('http');
+const { test } = require('node:test');
+const { testCases } = require('./helpers');
+const {
+    SIGNATURE_HEADER,
+    TIMESTAMP_HEADER,
+    signPayload,
+    sealCredentials,
+    openCredentials,
+    deliverWebhook
+} = require('../../lib/webhooks');
+
+// Expected values from: printf '%s' '<timestamp>.<body>' | openssl dgst -sha256 -hmac <secret>
+const signatureCases = [
+    ['whsec_test', '1700000000', '{"event":"job.completed","job_id":"abc"}', 'sha256=97f300d0721ea14842b57a829d3f6ffdd1c87ae7851a00e5d6d75dbbd6efb3bb']
+];
+
+testCases('signPayload', signatureCases, (secret, timestamp, body, expected) => {
+    assert.strictEqual(signPayload(secret, timestamp, body), expected);
+});
+
+test('signPayload covers the timestamp', () => {
+    const body = '{"event":"job.completed"}';
+    assert.notStrictEqual(signPayload('secret', '1700000000', body), signPayload('secret', '1700000001', body));
+});
+
+test('sealed credentials open with the same key only', () => {
+    const credentials = { headers: { Authorization: 'Bearer n8n' }, secret: 'job-secret' };
+    const sealed = sealCredentials('store-key', credentials);
+    assert.ok(!sealed.includes('n8n') && !sealed.includes('job-secret'));
+    assert.deepStrictEqual(openCredentials('store-key', sealed), credentials);
+    assert.strictEqual(openCredentials('other-key', sealed), null);
+
+    const [iv, tag, data] = sealed.split('.');
+    const flipped = Buffer.from(data, 'base64url');
+    flipped[0] ^= 1;
+    assert.strictEqual(openCredentials('store-key', [iv, tag, flipped.toString('base64url')].join('.')), null);
+    assert.strictEqual(openCredentials('store-key', 'not sealed'), null);
+});
+
+// Answers each request with the next status code and records what arrived
+async function withReceiver(statusCodes, run) {
+    const received = [];
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => body += chunk);
+        req.on('end', () => {
+            received.push({ headers: req.headers, body });
+            res.statusCode = statusCodes[Math.min(received.length, statusCodes.length) - 1];
+            res.end();
+        });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    try {
+        await run(`http://127.0.0.1:${server.address().port}/hook`, received);
+    } finally {
+        await new Promise(resolve => server.close(resolve));
+    }
+}
+
+test('deliverWebhook retries until a 2xx and signs every attempt', () => withReceiver([500, 503, 204], async (url, received) => {
+    const attempts = [];
+    const payload = { event: 'job.completed', job_id: 'abc' };
+    const delivered = await deliverWebhook({
+        url,
+        headers: { Authorization: 'Bearer n8n' },
+        secret: 'job-secret',
+        payload,
+        maxAttempts: 5,
+        baseDelayMs: 10,
+        allowPrivate: true,
+        onAttempt: attempt => attempts.push(attempt)
+    });
+
+    assert.strictEqual(delivered, true);
+    assert.deepStrictEqual(attempts.map(({ attempt, ok, status_code }) => ({ attempt, ok, status_code })), [
+        { attempt: 1, ok: false, status_code: 500 },
+        { attempt: 2, ok: false, status_code: 503 },
+        { attempt: 3, ok: true, status_code: 204 }
+    ]);
+    assert.strictEqual(received.length, 3);
+    for (const { headers, body } of received) {
+        assert.deepStrictEqual(JSON.parse(body), payload);
+        assert.strictEqual(headers.authorization, 'Bearer n8n');
+        const timestamp = headers[TIMESTAMP_HEADER.toLowerCase()];
+        assert.strictEqual(headers[SIGNATURE_HEADER.toLowerCase()], signPayload('job-secret', timestamp, body));
+    }
+}));
+
+test('deliverWebhook gives up after maxAttempts', () => withReceiver([500], async (url, received) => {
+    const attempts = [];
+    const delivered = await deliverWebhook({
+        url,
+        payload: { event: 'job.failed' },
+        maxAttempts: 3,
+        baseDelayMs: 10,
+        allowPrivate: true,
+        onAttempt: attempt => attempts.push(attempt)
+    });
+
+    assert.strictEqual(delivered, false);
+    assert.deepStrictEqual(attempts.map(attempt => attempt.attempt), [1, 2, 3]);
+    assert.strictEqual(received.length, 3);
+    assert.strictEqual(received[0].headers[SIGNATURE_HEADER.toLowerCase()], undefined);
+}));
+
+test('deliverWebhook refuses private addresses unless allowed', () => withReceiver([204], async (url, received) => {
+    const attempts = [];
+    const delivered = await deliverWebhook({
+        url,
+        payload: { event: 'job.completed' },
+        maxAttempts: 1,
+        onAttempt: attempt => attempts.push(attempt)
+    });
+
+    assert.strictEqual(delivered, false);
+    assert.match(attempts[0].error, /private address/);
+    assert.strictEqual(received.length, 0);
+}));
@@ -0,0 +1,101 @@
+// Table-driven checks for lib/youtube-url.js
+const assert = require('assert');
+const { test } = require('node:test');
+const { testCases } = require('./helpers');
+const { parseVideoUrl, parsePlaylistUrl } = require('../../lib/youtube-url');
+
+const ID = 'dQw4w9WgXcQ';
+const WATCH = `https://www.youtube.com/watch?v=${ID}`;
+
+// [input, expected video ID or null]
+const videoCases = [
+    // Watch URLs on every host, with and without www / scheme
+    [`https://www.youtube.com/watch?v=${ID}`, ID],
+    [`http://youtube.com/watch?v=${ID}`, ID],
+    [`https://m.youtube.com/watch?v=${ID}`, ID],
+    [`https://music.youtube.com/watch?v=${ID}&si=abc123`, ID],
+    [`www.youtube.com/watch?v=${ID}`, ID],
+    [`youtube.com/watch?v=${ID}`, ID],
+    [`https://WWW.YouTube.com/watch?v=${ID}`, ID],
+    [`  https://www.youtube.com/watch?v=${ID}  `, ID],
+
+    // Extra parameters in any order are dropped
+    [`https://www.youtube.com/watch?app=desktop&v=${ID}`, ID],
+    [`https://www.youtube.com/watch?v=${ID}&t=42s`, ID],
+    [`https://www.youtube.com/watch?v=${ID}&list=PL590L5WQmH8fJ54F369BLDSqIwcs-TCfs&index=2`, ID],
+    [`https://m.youtube.com/watch?v=${ID}&feature=youtu.be&pp=ygUE`, ID],
+    [`https://www.youtube.com/watch?v=${ID}#comments`, ID],
+
+    // Path-style IDs
+    [`https://www.youtube.com/shorts/${ID}`, ID],
+    [`https://youtube.com/shorts/${ID}?si=Xy_z-123`, ID],
+    [`https://m.youtube.com/shorts/${ID}/`, ID],
+    [`https://www.youtube.com/live/${ID}`, ID],
+    [`https://www.youtube.com/live/${ID}?feature=share`, ID],
+    [`https://www.youtube.com/embed/${ID}?start=10`, ID],
+    [`https://www.youtube-nocookie.com/embed/${ID}`, ID],
+    [`https://www.youtube.com/v/${ID}`, ID],
+
+    // youtu.be share links
+    [`https://youtu.be/${ID}`, ID],
+    [`https://youtu.be/${ID}?si=4kZcLJPYpcY5Lw1H`, ID],
+    [`https://youtu.be/${ID}?t=30&si=abc`, ID],
+    [`youtu.be/${ID}`, ID],
+
+    // Rejected
+    [`https://www.youtube.com/watch?v=${ID.slice(0, 10)}`, null],
+    [`https://www.youtube.com/watch?v=${ID}x`, null],
+    ['https://www.youtube.com/watch?v=dQw4w9WgXc!', null],
+    ['https://www.youtube.com/watch', null],
+    [`https://www.youtube.com/shorts/${ID}/extra`, null],
+    [`https://www.youtube.com/channel/${ID}`, null],
+    ['https://www.youtube.com/playlist?list=PL590L5WQmH8fJ54F369BLDSqIwcs-TCfs', null],
+    [`https://youtu.be/${ID}/more`, null],
+    [`https://youtube.com.evil.example/watch?v=${ID}`, null],
+    [`https://evil.example/watch?v=${ID}`, null],
+    [`https://www.youtube.com@evil.example/watch?v=${ID}`, null],
+    [`https://www.youtube.com:8080/watch?v=${ID}`, null],
+    [`https://www.youtube-nocookie.com/watch?v=${ID}`, null],
+    [`ftp://www.youtube.com/watch?v=${ID}`, null],
+    [`javascript:alert(1)//youtube.com/watch?v=${ID}`, null],
+    [`https://www.youtube.com/watch?v=${ID}&${'a'.repeat(2048)}`, null],
+    ['', null],
+    ['not a url', null],
+    [null, null],
+    [undefined, null],
+    [42, null],
+    [{ url: WATCH }, null]
+];
+
+// [input, expected playlist ID or null]
+const playlistCases = [
+    ['https://www.youtube.com/playlist?list=PL590L5WQmH8fJ54F369BLDSqIwcs-TCfs', 'PL590L5WQmH8fJ54F369BLDSqIwcs-TCfs'],
+    ['https://m.youtube.com/playlist?list=PLabc_123', 'PLabc_123'],
+    ['https://music.youtube.com/playlist?list=OLAK5uy_abc&si=xyz', 'OLAK5uy_abc'],
+    ['youtube.com/playlist?feature=share&list=PLabc', 'PLabc'],
+    [`https://www.youtube.com/watch?v=${ID}&list=PLabc`, null],
+    ['https://www.youtube.com/playlist', null],
+    ['https://www.youtube.com/playlist?list=', null],
+    ['https://www.youtube.com/playlist?list=PL abc', null],
+    ['https://youtu.be/playlist?list=PLabc', null],
+    ['https://evil.example/playlist?list=PLabc', null],
+    [null, null]
+];
+
+const describeInput = ([input]) => typeof input === 'string' ? JSON.stringify(input.slice(0, 80)) : String(input);
+
+const expectParsed = (parse, idField, canonical) => (input, expected) => {
+    const result = parse(input);
+    if (expected === null) {
+        assert.strictEqual(result, null);
+    } else {
+        assert.deepStrictEqual(result, { [idField]: expected, url: canonical(expected) });
+    }
+};
+
+testCases('parseVideoUrl', videoCases, expectParsed(parseVideoUrl, 'videoId', id => `https://www.youtube.com/watch?v=${id}`), describeInput);
+testCases('parsePlaylistUrl', playlistCases, expectParsed(parsePlaylistUrl, 'playlistId', id => `https://www.youtube.com/playlist?list=${id}`), describeInput);
+
+test('the canonical URL parses back to itself', () => {
+    assert.deepStrictEqual(parseVideoUrl(WATCH), { videoId: ID, url: WATCH });
+});
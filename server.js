@@ -7,11 +7,65 @@ const crypto = require('crypto');
 const cors = require('cors');
 const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
+const { fetch, ProxyAgent } = require('undici');
+const { createBackend, createJobStore } = require('./lib/job-store');
+const { createJobQueue } = require('./lib/job-queue');
+const { parseYtDlpProgress, createFfmpegProgressParser } = require('./lib/progress');
+const { createJobEvents, openEventStream } = require('./lib/job-events');
+const { validateCallback, deliverWebhook, sealCredentials, openCredentials } = require('./lib/webhooks');
+const { formatDuration, normalizeVideoInfo, summarizeVideoInfo } = require('./lib/video-info');
+const { vttToSrt, vttToText } = require('./lib/subtitles');
+const {
+    TAG_SUPPORT,
+    CODEC_BY_EXTENSION,
+    loudnormMeasureFilter,
+    parseLoudnormStats,
+    loudnormApplyFilter,
+    buildFfmetadata,
+    audioTags
+} = require('./lib/audio-processing');
+const { WAVEFORM_SAMPLE_RATE, computePeaks } = require('./lib/waveform');
+const { HLS_CONTENT_TYPES, ffmpegHlsArgs, resolveHlsPath } = require('./lib/hls');
+const { loadApiKeys, readApiKey, describeQuota } = require('./lib/api-keys');
+const { listFileUrls, mapFileUrls, storageName, listJobFiles, jobStorageBytes } = require('./lib/job-files');
+const { createFileStorage } = require('./lib/file-storage');
+const { cacheKey } = require('./lib/result-cache');
+const { ARCHIVE_FORMATS, createJobArchive } = require('./lib/archive');
+const { createUrlSigner } = require('./lib/signed-urls');
+const { parseVideoUrl, parsePlaylistUrl } = require('./lib/youtube-url');
+const { validateRetention, createStorageManager } = require('./lib/storage-manager');
+const {
+    parseTimestamp,
+    parseClipOptions,
+    resolveClipSegments,
+    chapterManifest,
+    chapterFileBase,
+    clipLength,
+    ffmpegClipArgs
+} = require('./lib/clips');
+const {
+    FORMATS,
+    ALLOWED_OPTIONS,
+    AUDIO_EXTENSIONS,
+    validateFormatOptions,
+    resolveFormatOptions,
+    buildVideoSelector,
+    ytDlpContainerArgs,
+    ytDlpAudioArgs,
+    ffmpegAudioArgs,
+    ffmpegVideoArgs,
+    ffmpegImageArgs,
+    ffmpegAnimationArgs,
+    scaleFilter
+} = require('./lib/format-options');
 
 const app = express();
 
-// Trust Railway proxy for rate limiting
-app.set('trust proxy', 1);
+// Only believe X-Forwarded-For from proxies named in TRUST_PROXY (a hop count
+// such as 1 behind Railway, or addresses / subnets) - otherwise any client
+// could pick the IP that rate limits and job ownership go by
+const trustProxy = process.env.TRUST_PROXY || 'false';
+app.set('trust proxy', /^\d+$/.test(trustProxy) ? parseInt(trustProxy) : trustProxy === 'false' ? false : trustProxy);
 
 // Security middleware
 app.use(helmet());
@@ -37,9 +91,56 @@ const CONFIG = {
     downloadDir: process.env.DOWNLOAD_DIR || './downloads',
     tempDir: process.env.TEMP_DIR || './temp',
     maxConcurrent: parseInt(process.env.MAX_CONCURRENT_DOWNLOADS) || 1, // Reduced for stealth
+    maxQueueDepth: parseInt(process.env.MAX_QUEUE_DEPTH ?? 50) || 0, // Jobs waiting for a free slot, 0 = no waiting queue
+    maxBatchSize: parseInt(process.env.MAX_BATCH_SIZE) || 50, // Max child jobs per batch/playlist
+    defaultJobDurationMs: 180000, // Used for queue estimates until jobs have completed
     requestDelay: parseInt(process.env.REQUEST_DELAY) || 15000, // Increased delay
     sessionDelay: parseInt(process.env.SESSION_DELAY) || 60000, // Increased session delay
     fileRetentionHours: parseInt(process.env.FILE_RETENTION_HOURS) || 12,
+    maxRetentionHours: parseInt(process.env.MAX_RETENTION_HOURS) || 168, // Longest per-job retention a request may ask for
+    diskBudgetMb: parseInt(process.env.DISK_BUDGET_MB) || 0, // Evict least recently used files beyond this, 0 = no budget
+    minFreeDiskMb: parseInt(process.env.MIN_FREE_DISK_MB ?? 512) || 0, // Refuse new jobs below this much free space, 0 = never
+    maxVideoDuration: parseInt(process.env.MAX_VIDEO_DURATION) || 0, // Seconds, 0 = no limit
+    
+    // Job persistence ('file' or 'memory')
+    jobStore: process.env.JOB_STORE || 'file',
+    jobStoreFile: process.env.JOB_STORE_FILE || './data/jobs.jsonl',
+    requeueInterruptedJobs: process.env.REQUEUE_INTERRUPTED_JOBS === 'true',
+    
+    // Completion webhooks
+    webhookSecret: process.env.WEBHOOK_SECRET || null, // Default signing secret when a job doesn't set one
+    callbackCredentialsKey: process.env.CALLBACK_CREDENTIALS_KEY || null, // Encrypts callback headers and secrets in the job store so they survive restarts
+    webhookMaxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 5,
+    webhookRetryDelay: parseInt(process.env.WEBHOOK_RETRY_DELAY) || 5000,
+    webhookAllowPrivateHosts: process.env.WEBHOOK_ALLOW_PRIVATE_HOSTS === 'true', // Let callbacks reach localhost and private networks
+    
+    // API keys (JSON array in API_KEYS and/or a keys file) - no keys means no auth
+    apiKeys: process.env.API_KEYS || null,
+    apiKeysFile: process.env.API_KEYS_FILE || null,
+    apiKeyDefaults: { // Used when a key doesn't set its own limits, 0 = unlimited
+        dailyJobs: parseInt(process.env.API_KEY_DAILY_JOBS ?? 100) || null,
+        storageMb: parseInt(process.env.API_KEY_STORAGE_MB ?? 5120) || null,
+        concurrency: parseInt(process.env.API_KEY_CONCURRENCY ?? 1) || null
+    },
+    
+    // Signed file links - without a fixed secret, links stop working on restart
+    fileUrlSecret: process.env.FILE_URL_SECRET || null,
+    fileUrlTtl: parseInt(process.env.FILE_URL_TTL) || 3600, // Seconds
+    fileUrlMaxTtl: parseInt(process.env.FILE_URL_MAX_TTL) || 7 * 24 * 3600, // Longest link POST /api/jobs/:jobId/links will mint
+    
+    // Where finished files are kept ('local' or 's3' - any S3-compatible service)
+    storageBackend: process.env.STORAGE_BACKEND || 'local',
+    s3: {
+        bucket: process.env.S3_BUCKET,
+        region: process.env.S3_REGION || 'us-east-1',
+        endpoint: process.env.S3_ENDPOINT || undefined, // e.g. http://localhost:9000 for MinIO
+        accessKeyId: process.env.S3_ACCESS_KEY_ID,
+        secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+        forcePathStyle: process.env.S3_FORCE_PATH_STYLE ? process.env.S3_FORCE_PATH_STYLE === 'true' : undefined, // Defaults to true with S3_ENDPOINT
+        prefix: process.env.S3_PREFIX || '',
+        instanceId: process.env.S3_INSTANCE_ID || null, // Own key folder when several instances share the bucket
+        publicUrl: process.env.S3_PUBLIC_URL || null // Public bucket or CDN base URL - links skip presigning
+    },
     
     // Proxy configuration with validation
     proxies: process.env.PROXY_LIST ? process.env.PROXY_LIST.split(',').map(p => p.trim()) : [],
@@ -70,20 +171,88 @@ const CONFIG = {
     ]
 };
 
-// In-memory storage
-const jobs = new Map();
-const activeDownloads = new Set();
+// Job storage (persisted) and in-memory runtime state
+const jobs = createJobStore(createBackend(CONFIG.jobStore, { filePath: CONFIG.jobStoreFile }));
+const jobEvents = createJobEvents();
+const downloadQueue = createJobQueue({
+    concurrency: CONFIG.maxConcurrent,
+    maxDepth: CONFIG.maxQueueDepth,
+    worker: (jobId) => processDownloadJob(jobId),
+    canStart: (jobId, activeIds) => {
+        const job = jobs.get(jobId);
+        const key = job && job.apiKey ? apiKeys.get(job.apiKey) : null;
+        if (!key || key.concurrency === null) return true;
+        const running = [...activeIds].filter(id => jobs.get(id)?.apiKey === key.name).length;
+        return running < key.concurrency;
+    }
+});
 const lastRequestTime = new Map();
 const proxyRotation = new Map();
+const jobRuns = new Map(); // jobId -> { controller, finished } for jobs being processed
+let apiKeys = { size: 0, find: () => null, get: () => null }; // Loaded in startServer
+const resultCache = new Map(); // cacheKey -> latest job with that output (queued, running or completed)
+const followers = new Map(); // jobId -> unsubscribe, for jobs attached to an identical running job
+const sharedFiles = new Map(); // producing jobId -> Set of cache-hit jobIds using its files
+const callbackCredentials = new Map(); // jobId -> { headers, secret } for callbacks - only stored encrypted
+const urlSigner = createUrlSigner(CONFIG.fileUrlSecret || crypto.randomBytes(32).toString('hex'));
+const fileStorage = createFileStorage(CONFIG.storageBackend, {
+    ...CONFIG.s3,
+    downloadDir: CONFIG.downloadDir,
+    workDir: CONFIG.downloadDir,
+    contentType: (name) => contentTypeFor(name)
+});
+const storage = createStorageManager({
+    downloadDir: CONFIG.downloadDir,
+    fileStorage,
+    jobs,
+    retentionHours: CONFIG.fileRetentionHours,
+    budgetBytes: CONFIG.diskBudgetMb * 1024 * 1024,
+    minFreeBytes: CONFIG.minFreeDiskMb * 1024 * 1024,
+    onExpire: (job) => handleExpiredJob(job)
+});
 
 // Utility functions
 const generateJobId = () => crypto.randomUUID();
-const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+// Optional AbortSignal rejects the delay early with the signal's reason
+const delay = (ms, signal) => new Promise((resolve, reject) => {
+    if (signal && signal.aborted) return reject(signal.reason);
+    const onAbort = () => {
+        clearTimeout(timer);
+        reject(signal.reason);
+    };
+    const timer = setTimeout(() => {
+        if (signal) signal.removeEventListener('abort', onAbort);
+        resolve();
+    }, ms);
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
+});
 const getRandomElement = (array) => array[Math.floor(Math.random() * array.length)];
 const getRandomUserAgent = () => getRandomElement(CONFIG.userAgents);
 const getRandomLanguage = () => getRandomElement(CONFIG.languages);
 const getRandomViewport = () => getRandomElement(CONFIG.viewports);
 
+// Average wall-clock time of the most recent completed jobs
+const getAverageJobDuration = () => {
+    const durations = Array.from(jobs.values())
+        .filter(j => j.status === 'completed' && j.startedAt && j.completedAt)
+        .sort((a, b) => new Date(b.completedAt) - new Date(a.completedAt))
+        .slice(0, 20)
+        .map(j => new Date(j.completedAt) - new Date(j.startedAt));
+
+    if (durations.length === 0) return CONFIG.defaultJobDurationMs;
+    return durations.reduce((sum, ms) => sum + ms, 0) / durations.length;
+};
+
+// Rough start estimate: each full round of slots ahead takes one average job
+const estimateQueueStart = (position) => {
+    const rounds = Math.ceil(position / CONFIG.maxConcurrent);
+    const waitMs = Math.round(rounds * getAverageJobDuration());
+    return {
+        estimated_wait_seconds: Math.round(waitMs / 1000),
+        estimated_start_at: new Date(Date.now() + waitMs).toISOString()
+    };
+};
+
 // Enhanced proxy rotation with health checking
 const getNextProxy = () => {
     if (CONFIG.proxies.length === 0) return null;
@@ -107,6 +276,15 @@ const getNextProxy = () => {
     return bestProxy;
 };
 
+// HTTP requests outside yt-dlp (e.g. cover art) go through the same proxies
+const proxyAgents = new Map();
+const proxyFetch = (url, options = {}) => {
+    const proxy = getNextProxy();
+    if (!proxy) return fetch(url, options);
+    if (!proxyAgents.has(proxy)) proxyAgents.set(proxy, new ProxyAgent(proxy));
+    return fetch(url, { ...options, dispatcher: proxyAgents.get(proxy) });
+};
+
 // Enhanced rate limiting check
 const checkRateLimit = (sessionId) => {
     const lastRequest = lastRequestTime.get(sessionId);
@@ -132,71 +310,148 @@ async function initDirectories() {
     }
 }
 
-// Clean old files
+// Clean old files: expired retention, LRU eviction over DISK_BUDGET_MB and
+// stray files (see lib/storage-manager.js)
 async function cleanOldFiles() {
     try {
-        const files = await fs.readdir(CONFIG.downloadDir);
-        const now = Date.now();
-        const maxAge = CONFIG.fileRetentionHours * 60 * 60 * 1000;
-        let cleanedCount = 0;
-
-        for (const file of files) {
-            const filePath = path.join(CONFIG.downloadDir, file);
-            const stats = await fs.stat(filePath);
-            
-            if (now - stats.mtime.getTime() > maxAge) {
-                await fs.unlink(filePath);
-                cleanedCount++;
-            }
+        const { expired, evicted, orphans } = await storage.sweep();
+        
+        if (expired + evicted + orphans > 0) {
+            console.log(`🧹 Cleaned files of ${expired} expired and ${evicted} evicted jobs, ${orphans} stray files`);
         }
         
-        if (cleanedCount > 0) {
-            console.log(`🧹 Cleaned ${cleanedCount} old files`);
+        const pruned = pruneFinishedJobs();
+        if (pruned > 0) {
+            console.log(`🧹 Removed ${pruned} finished jobs from the job store`);
         }
     } catch (error) {
         console.error('❌ Error cleaning old files:', error);
     }
 }
 
-// YouTube URL validation
-function validateYouTubeUrl(url) {
-    const patterns = [
-        /^https?:\/\/(www\.)?(youtube\.com\/watch\?v=|youtu\.be\/)[\w-]+(&.*)?$/,
-        /^https?:\/\/(www\.)?youtube\.com\/embed\/[\w-]+(\?.*)?$/,
-        /^https?:\/\/(www\.)?youtube\.com\/v\/[\w-]+(\?.*)?$/
-    ];
-    
-    return patterns.some(pattern => pattern.test(url));
+// A job whose files were deleted - its links are gone, so it leaves the
+// result cache and stops sharing files
+function handleExpiredJob(job) {
+    console.log(`🗑️ Files expired for job ${job.id.slice(0, 8)}... (${job.expiredReason})`);
+    if (job.cacheKey && resultCache.get(job.cacheKey) === job.id) resultCache.delete(job.cacheKey);
+    sharedFiles.delete(job.id);
+    jobs.save(job);
+    jobEvents.publish(job.id, 'expired', buildStatusResponse(job));
+}
+
+// Latest timestamp a finished job recorded
+const finishedAt = (job) => Math.max(...[job.createdAt, job.completedAt, job.cancelledAt, job.interruptedAt, job.expiredAt]
+    .filter(Boolean)
+    .map(time => new Date(time).getTime()));
+
+// Forget finished jobs without files once FILE_RETENTION_HOURS have passed,
+// so the job store and every scan over it stay bounded. Jobs are kept at least
+// until the UTC day they count against for key quotas is over, and children
+// go together with their parent. Returns the number of jobs removed
+function pruneFinishedJobs() {
+    const cutoff = Date.now() - CONFIG.fileRetentionHours * 60 * 60 * 1000;
+    const dayStart = new Date();
+    dayStart.setUTCHours(0, 0, 0, 0);
+
+    const removable = (job) => TERMINAL_STATUSES.includes(job.status) &&
+        // Completed jobs still have files; they go once those expire
+        (job.status !== 'completed' || Boolean(job.children)) &&
+        !(job.callback && ['waiting', 'pending'].includes(job.callback.status)) &&
+        finishedAt(job) < cutoff &&
+        new Date(job.createdAt) < dayStart;
+
+    let removed = 0;
+    for (const job of Array.from(jobs.values())) {
+        // Already removed with its parent, or left for the parent to take along
+        if (!jobs.has(job.id) || (job.parentId && jobs.has(job.parentId))) continue;
+        const family = [job, ...(job.children || []).map(id => jobs.get(id)).filter(Boolean)];
+        if (!family.every(removable)) continue;
+
+        for (const member of family) {
+            if (member.cacheKey && resultCache.get(member.cacheKey) === member.id) resultCache.delete(member.cacheKey);
+            sharedFiles.delete(member.id);
+            callbackCredentials.delete(member.id);
+            jobs.delete(member.id);
+            removed++;
+        }
+    }
+    return removed;
 }
 
+// Split a stream into lines (yt-dlp also uses bare \r between progress updates)
+const lineSplitter = (onLine) => {
+    let buffer = '';
+    return {
+        push(chunk) {
+            buffer += chunk;
+            const lines = buffer.split(/\r\n|\r|\n/);
+            buffer = lines.pop();
+            lines.forEach(line => line && onLine(line));
+        },
+        end() {
+            if (buffer) onLine(buffer);
+            buffer = '';
+        }
+    };
+};
+
 // Execute command with proper error handling
+// options.onStdoutLine / options.onStderrLine receive output line by line as it streams
+// options.signal aborts the child: SIGTERM first, SIGKILL if it ignores that
 function execCommand(command, args, options = {}) {
+    const { onStdoutLine, onStderrLine, signal, killGraceMs = 5000, ...spawnOptions } = options;
+
     return new Promise((resolve, reject) => {
+        if (signal && signal.aborted) {
+            return reject(signal.reason);
+        }
+
         console.log(`🔧 Executing ${command} with ${args.length} arguments`);
         
         const childProcess = spawn(command, args, {
             stdio: ['ignore', 'pipe', 'pipe'],
-            timeout: options.timeout || 300000, // 5 minute default timeout
+            timeout: spawnOptions.timeout || 300000, // 5 minute default timeout
             env: {
                 ...process.env,
                 PYTHONUNBUFFERED: '1'
             },
-            ...options
+            ...spawnOptions
         });
 
         let stdout = '';
         let stderr = '';
+        const stdoutLines = onStdoutLine ? lineSplitter(onStdoutLine) : null;
+        const stderrLines = onStderrLine ? lineSplitter(onStderrLine) : null;
 
         childProcess.stdout.on('data', (data) => {
-            stdout += data.toString();
+            const chunk = data.toString();
+            stdout += chunk;
+            if (stdoutLines) stdoutLines.push(chunk);
         });
 
         childProcess.stderr.on('data', (data) => {
-            stderr += data.toString();
+            const chunk = data.toString();
+            stderr += chunk;
+            if (stderrLines) stderrLines.push(chunk);
         });
 
+        let killTimer = null;
+        const onAbort = () => {
+            console.log(`🛑 Stopping ${command} (pid ${childProcess.pid})`);
+            childProcess.kill('SIGTERM');
+            killTimer = setTimeout(() => childProcess.kill('SIGKILL'), killGraceMs);
+        };
+        if (signal) signal.addEventListener('abort', onAbort, { once: true });
+
         childProcess.on('close', (code) => {
-            if (code === 0) {
+            if (signal) signal.removeEventListener('abort', onAbort);
+            clearTimeout(killTimer);
+            if (stdoutLines) stdoutLines.end();
+            if (stderrLines) stderrLines.end();
+
+            if (signal && signal.aborted) {
+                reject(signal.reason);
+            } else if (code === 0) {
                 resolve(stdout);
             } else {
                 const errorMessage = stderr + stdout;
@@ -210,8 +465,95 @@ function execCommand(command, args, options = {}) {
     });
 }
 
+// Metadata-only yt-dlp lookup (no media is downloaded)
+async function fetchVideoInfo(url, options = {}) {
+    const proxy = getNextProxy();
+    const args = [
+        '--dump-json',
+        '--skip-download',
+        '--no-playlist',
+        '--no-warnings',
+        '--no-cache-dir',
+        '--user-agent', getRandomUserAgent(),
+        '--referer', 'https://www.youtube.com/',
+        '--add-header', `Accept-Language:${getRandomLanguage()}`,
+        '--extractor-args', 'youtube:player_client=android,web'
+    ];
+
+    if (proxy) {
+        args.push('--proxy', proxy);
+    }
+    args.push(url);
+
+    const stdout = await execCommand('yt-dlp', args, { timeout: 60000, signal: options.signal });
+    return normalizeVideoInfo(JSON.parse(stdout));
+}
+
+// List playlist entries without resolving each video
+async function fetchPlaylistEntries(url, playlistItems, options = {}) {
+    const proxy = getNextProxy();
+    const args = [
+        '--flat-playlist',
+        '--dump-single-json',
+        '--no-warnings',
+        '--no-cache-dir',
+        '--user-agent', getRandomUserAgent(),
+        '--referer', 'https://www.youtube.com/',
+        '--add-header', `Accept-Language:${getRandomLanguage()}`
+    ];
+
+    if (playlistItems) {
+        args.push('--playlist-items', playlistItems);
+    }
+    if (proxy) {
+        args.push('--proxy', proxy);
+    }
+    args.push(url);
+
+    const stdout = await execCommand('yt-dlp', args, { timeout: 120000, signal: options.signal });
+    const playlist = JSON.parse(stdout);
+
+    return {
+        id: playlist.id,
+        title: playlist.title || null,
+        channel: playlist.channel || playlist.uploader || null,
+        entries: (playlist.entries || [])
+            .filter(entry => entry && entry.id)
+            .map(entry => ({
+                url: `https://www.youtube.com/watch?v=${entry.id}`,
+                title: entry.title || null,
+                duration: entry.duration || null
+            }))
+    };
+}
+
+// Duration and stream types of a local media file
+async function probeMedia(filePath, options = {}) {
+    const stdout = await execCommand('ffprobe', [
+        '-v', 'error',
+        '-show_entries', 'format=duration:stream=codec_type',
+        '-of', 'json',
+        filePath
+    ], { timeout: 30000, signal: options.signal });
+    const { format = {}, streams = [] } = JSON.parse(stdout);
+    const duration = parseFloat(format.duration);
+
+    return {
+        duration: Number.isFinite(duration) ? duration : null,
+        hasVideo: streams.some(stream => stream.codec_type === 'video'),
+        hasAudio: streams.some(stream => stream.codec_type === 'audio')
+    };
+}
+
 // Enhanced yt-dlp download with maximum stealth
-async function downloadWithYtDlp(url, jobId, formats, sessionId) {
+// options.onProgress(format, update) is called with parsed yt-dlp/ffmpeg progress;
+// options.signal cancels pending delays and running commands;
+// options.formatOptions holds caller-selected quality/container/codec per format;
+// options.clip ({ segments, concat }) cuts the media outputs down to those ranges;
+// options.splitChapters lists the formats to split along options.videoInfo.chapters
+async function downloadWithYtDlp(url, jobId, formats, sessionId, options = {}) {
+    const { onProgress = () => {}, signal, formatOptions = {}, clip = null, splitChapters = [], videoInfo = null } = options;
+    const execJobCommand = (command, args, commandOptions) => execCommand(command, args, { ...commandOptions, signal });
     const userAgent = getRandomUserAgent();
     const proxy = getNextProxy();
     const language = getRandomLanguage();
@@ -225,10 +567,167 @@ async function downloadWithYtDlp(url, jobId, formats, sessionId) {
     
     const results = {};
     
+    // Custom video options replace the stock selector; without them the
+    // original stealth-tuned selectors are used unchanged
+    const videoOptions = formatOptions.video ? resolveFormatOptions('video', formatOptions.video) : null;
+    const videoSelector = (maxHeight, fallback) => videoOptions
+        ? [...ytDlpContainerArgs(videoOptions), '-f', buildVideoSelector({ ...videoOptions, max_height: Math.min(maxHeight, videoOptions.max_height) })]
+        : ['-f', fallback];
+    const audioOptions = resolveFormatOptions('audio', formatOptions.audio);
+    const silentOptions = resolveFormatOptions('silent_video', formatOptions.silent_video);
+    const subtitleOptions = resolveFormatOptions('subtitles', formatOptions.subtitles);
+    const thumbnailOptions = resolveFormatOptions('thumbnail', formatOptions.thumbnail);
+    const contactSheetOptions = resolveFormatOptions('contact_sheet', formatOptions.contact_sheet);
+    const previewOptions = resolveFormatOptions('preview', formatOptions.preview);
+    const waveformOptions = resolveFormatOptions('waveform', formatOptions.waveform);
+    const hlsOptions = resolveFormatOptions('hls', formatOptions.hls);
+    
+    // Stream yt-dlp --newline output into per-format progress updates
+    const ytDlpProgress = (format) => ({
+        onStdoutLine: (line) => {
+            const update = parseYtDlpProgress(line);
+            if (update) onProgress(format, { stage: 'downloading', ...update });
+        }
+    });
+    
+    // Stream ffmpeg -progress output into per-format progress updates;
+    // durationSeconds overrides the input duration when only part is encoded
+    const ffmpegProgress = (format, durationSeconds) => {
+        const parser = createFfmpegProgressParser(update => onProgress(format, { stage: 'processing', ...update }));
+        parser.setDuration(durationSeconds);
+        return {
+            onStdoutLine: parser.stdoutLine,
+            onStderrLine: parser.stderrLine
+        };
+    };
+    
+    // Loudness normalization and tagging for the extracted audio, whichever
+    // path produced it. Rewrites the file in place.
+    const finishAudio = async (audioUrl) => {
+        const { normalize, target_lufs: targetLufs, tags } = audioOptions;
+        if (!normalize && !(tags && videoInfo)) return;
+        
+        const audioFile = audioUrl.replace('/files/', '');
+        const audioPath = path.join(CONFIG.downloadDir, audioFile);
+        const ext = path.extname(audioFile);
+        const codec = CODEC_BY_EXTENSION[ext] || audioOptions.codec;
+        const outputPath = path.join(CONFIG.downloadDir, `${path.basename(audioFile, ext)}_finished${ext}`);
+        const tempFiles = [];
+        
+        const inputArgs = ['-i', audioPath];
+        const outputArgs = ['-map', '0:a'];
+        let codecArgs = ['-c:a', 'copy'];
+        
+        try {
+            if (normalize) {
+                console.log(`🔊 Measuring loudness (target ${targetLufs} LUFS)...`);
+                const stderrLines = [];
+                await execJobCommand('ffmpeg', [
+                    '-hide_banner', '-nostats',
+                    '-i', audioPath,
+                    '-af', loudnormMeasureFilter(targetLufs),
+                    '-f', 'null', '-'
+                ], { timeout: 300000, onStderrLine: line => stderrLines.push(line) });
+                
+                const stats = parseLoudnormStats(stderrLines);
+                if (!stats) {
+                    throw new Error('loudnorm did not report measurements');
+                }
+                outputArgs.push('-af', loudnormApplyFilter(targetLufs, stats));
+                // loudnorm resamples to 192kHz internally, so set the output rate
+                codecArgs = [...ffmpegAudioArgs({ ...audioOptions, codec }), ...(codec === 'mp3' ? [] : ['-ar', '48000'])];
+            }
+            
+            if (tags && videoInfo) {
+                const support = TAG_SUPPORT[codec];
+                const metadataPath = path.join(CONFIG.tempDir, `${jobId}_metadata.txt`);
+                await fs.writeFile(metadataPath, buildFfmetadata(audioTags(videoInfo), support.chapters ? videoInfo.chapters : []));
+                tempFiles.push(metadataPath);
+                inputArgs.push('-i', metadataPath);
+                outputArgs.push('-map_metadata', '1', '-map_chapters', support.chapters ? '1' : '-1');
+                
+                // Cover art is best effort - a missing thumbnail shouldn't lose the tags
+                if (support.cover && videoInfo.thumbnail) {
+                    try {
+                        const response = await proxyFetch(videoInfo.thumbnail, { signal: AbortSignal.any([signal, AbortSignal.timeout(15000)]) });
+                        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                        const coverPath = path.join(CONFIG.tempDir, `${jobId}_cover`);
+                        await fs.writeFile(coverPath, Buffer.from(await response.arrayBuffer()));
+                        tempFiles.push(coverPath);
+                        inputArgs.push('-i', coverPath);
+                        outputArgs.push(
+                            '-map', '2:v', '-c:v', 'mjpeg', '-disposition:v', 'attached_pic',
+                            '-metadata:s:v', 'title=Album cover', '-metadata:s:v', 'comment=Cover (front)'
+                        );
+                    } catch (error) {
+                        console.warn(`⚠️ Cover art download failed, tagging without it: ${error.message}`);
+                    }
+                }
+                if (codec === 'mp3') {
+                    outputArgs.push('-id3v2_version', '3');
+                }
+            }
+            
+            await execJobCommand('ffmpeg', [
+                '-y', '-nostats', '-progress', 'pipe:1',
+                ...inputArgs, ...outputArgs, ...codecArgs,
+                outputPath
+            ], { timeout: 600000, ...ffmpegProgress('audio') });
+            await fs.rename(outputPath, audioPath);
+            console.log(`✅ Audio ${[normalize && 'normalized', tags && videoInfo && 'tagged'].filter(Boolean).join(' and ')}`);
+        } catch (error) {
+            await fs.unlink(outputPath).catch(() => {});
+            throw error;
+        } finally {
+            await Promise.all(tempFiles.map(file => fs.unlink(file).catch(() => {})));
+        }
+    };
+    
+    // How a format is re-encoded when cutting ranges out of its source file
+    // (clips and chapters); silent_video is cut straight from the video
+    const cutSettings = (format, sourceUrl) => {
+        const ext = path.extname(sourceUrl).slice(1);
+        if (format === 'audio') {
+            return { outputExt: AUDIO_EXTENSIONS[audioOptions.codec], suffix: '_audio', encodeArgs: ffmpegAudioArgs(audioOptions) };
+        }
+        if (format === 'silent_video') {
+            return {
+                outputExt: silentOptions.container,
+                suffix: '_silent',
+                encodeArgs: ffmpegVideoArgs({ ...silentOptions, max_height: null }),
+                videoFilter: silentOptions.max_height ? scaleFilter(silentOptions.max_height) : null
+            };
+        }
+        return {
+            outputExt: ext,
+            suffix: '',
+            encodeArgs: [
+                ...ffmpegVideoArgs({ max_height: null, container: ext, video_codec: videoOptions ? videoOptions.video_codec : 'any' }),
+                ...ffmpegAudioArgs({ codec: ext === 'webm' ? 'opus' : 'aac', bitrate: 192 })
+            ]
+        };
+    };
+    
+    const cutMedia = (format, sourceUrl, segments, filename, extraArgs = []) => {
+        const { encodeArgs, videoFilter } = cutSettings(format, sourceUrl);
+        return execJobCommand('ffmpeg', [
+            '-y', '-nostats', '-progress', 'pipe:1',
+            ...ffmpegClipArgs(path.join(CONFIG.downloadDir, sourceUrl.replace('/files/', '')), segments, {
+                video: format !== 'audio',
+                audio: format !== 'silent_video',
+                videoFilter
+            }),
+            ...encodeArgs,
+            ...extraArgs,
+            path.join(CONFIG.downloadDir, filename)
+        ], { timeout: 600000, ...ffmpegProgress(format, clipLength(segments)) });
+    };
+    
     // Ultra-enhanced base arguments for maximum stealth
     const getStealthArgs = () => {
         const args = [
             '--no-warnings',
+            '--newline',
             '--no-cache-dir',
             '--no-check-certificate',
             '--user-agent', userAgent,
@@ -287,11 +786,11 @@ async function downloadWithYtDlp(url, jobId, formats, sessionId) {
             const androidArgs = [
                 ...getStealthArgs(),
                 '--extractor-args', 'youtube:player_client=android',
-                '-f', 'best[height<=1080][ext=mp4]/best[ext=mp4]/best',
+                ...videoSelector(4320, 'best[height<=1080][ext=mp4]/best[ext=mp4]/best'),
                 url
             ];
             
-            await execCommand('yt-dlp', androidArgs, { timeout: 240000 });
+            await execJobCommand('yt-dlp', androidArgs, { timeout: 240000, ...ytDlpProgress('video') });
             
             const videoFiles = await fs.readdir(CONFIG.downloadDir);
             const videoFile = videoFiles.find(f => 
@@ -308,16 +807,17 @@ async function downloadWithYtDlp(url, jobId, formats, sessionId) {
             // Strategy 2: iOS client fallback
             try {
                 console.log('🔄 Trying iOS client...');
-                await delay(5000 + Math.random() * 5000); // Random delay
+                await delay(5000 + Math.random() * 5000, signal); // Random delay
                 
                 const iosArgs = [
                     '--no-warnings',
+                    '--newline',
                     '--no-cache-dir',
                     '--user-agent', userAgent,
                     '--extractor-args', 'youtube:player_client=ios',
                     '--sleep-interval', '2',
                     '--retries', '3',
-                    '-f', 'best[height<=720][ext=mp4]/best',
+                    ...videoSelector(720, 'best[height<=720][ext=mp4]/best'),
                     '-o', outputTemplate
                 ];
                 
@@ -326,11 +826,11 @@ async function downloadWithYtDlp(url, jobId, formats, sessionId) {
                 }
                 iosArgs.push(url);
                 
-                await execCommand('yt-dlp', iosArgs, { timeout: 180000 });
+                await execJobCommand('yt-dlp', iosArgs, { timeout: 180000, ...ytDlpProgress('video') });
                 
                 const videoFiles = await fs.readdir(CONFIG.downloadDir);
                 const videoFile = videoFiles.find(f => 
-                    f.startsWith(`${jobId}_`) && f.includes('.mp4')
+                    f.startsWith(`${jobId}_`) && f.includes(`.${videoOptions ? videoOptions.container : 'mp4'}`)
                 );
                 if (videoFile) {
                     results.video = `/files/${videoFile}`;
@@ -342,7 +842,7 @@ async function downloadWithYtDlp(url, jobId, formats, sessionId) {
                 // Strategy 3: Web client with cookies simulation
                 try {
                     console.log('🔄 Trying web client with cookie simulation...');
-                    await delay(8000 + Math.random() * 7000); // Longer delay
+                    await delay(8000 + Math.random() * 7000, signal); // Longer delay
                     
                     // Create a temporary cookies file to simulate a real browser session
                     const cookiesFile = path.join(CONFIG.tempDir, `cookies_${jobId}.txt`);
@@ -350,12 +850,14 @@ async function downloadWithYtDlp(url, jobId, formats, sessionId) {
                     
                     const webArgs = [
                         '--no-warnings',
+                        '--newline',
                         '--cookies', cookiesFile,
                         '--user-agent', userAgent,
                         '--extractor-args', 'youtube:player_client=web',
                         '--add-header', `Accept-Language:${language}`,
                         '--sleep-interval', '1',
                         '--retries', '2',
+                        ...(videoOptions ? ytDlpContainerArgs(videoOptions) : []),
                         '-f', 'worst[ext=mp4]/worst', // Try lowest quality
                         '-o', outputTemplate
                     ];
@@ -365,7 +867,7 @@ async function downloadWithYtDlp(url, jobId, formats, sessionId) {
                     }
                     webArgs.push(url);
                     
-                    await execCommand('yt-dlp', webArgs, { timeout: 120000 });
+                    await execJobCommand('yt-dlp', webArgs, { timeout: 120000, ...ytDlpProgress('video') });
                     
                     // Clean up cookies file
                     try {
@@ -384,8 +886,10 @@ async function downloadWithYtDlp(url, jobId, formats, sessionId) {
             }
         }
         
+        onProgress('video', results.video ? { stage: 'done', percent: 100, eta_seconds: 0, file: results.video } : { stage: 'failed' });
+        
         // Long delay between video and audio to avoid detection
-        await delay(CONFIG.requestDelay + Math.random() * 10000);
+        await delay(CONFIG.requestDelay + Math.random() * 10000, signal);
     }
 
     // Audio extraction with enhanced stealth
@@ -398,18 +902,17 @@ async function downloadWithYtDlp(url, jobId, formats, sessionId) {
                 '--extractor-args', 'youtube:player_client=android',
                 '-f', 'bestaudio[ext=m4a]/bestaudio[acodec=aac]/bestaudio',
                 '--extract-audio',
-                '--audio-format', 'mp3',
-                '--audio-quality', '192K',
+                ...ytDlpAudioArgs(audioOptions),
                 '--embed-metadata',
                 url
             ];
             
-            await execCommand('yt-dlp', audioArgs, { timeout: 180000 });
+            await execJobCommand('yt-dlp', audioArgs, { timeout: 180000, ...ytDlpProgress('audio') });
             
             const audioFiles = await fs.readdir(CONFIG.downloadDir);
             const audioFile = audioFiles.find(f => 
                 f.startsWith(`${jobId}_`) && 
-                (f.includes('.mp3') || f.includes('.m4a') || f.includes('.ogg'))
+                (f.endsWith(`.${AUDIO_EXTENSIONS[audioOptions.codec]}`) || f.includes('.mp3') || f.includes('.m4a') || f.includes('.ogg'))
             );
             if (audioFile) {
                 results.audio = `/files/${audioFile}`;
@@ -428,60 +931,553 @@ async function downloadWithYtDlp(url, jobId, formats, sessionId) {
                 );
                 
                 if (anyVideo) {
-                    const audioOutput = path.join(CONFIG.downloadDir, `${jobId}_audio.mp3`);
-                    await execCommand('ffmpeg', [
-                        '-y', '-i', path.join(CONFIG.downloadDir, anyVideo),
-                        '-vn', '-acodec', 'mp3', '-ab', '192k', '-ar', '44100',
+                    const audioFilename = `${jobId}_audio.${AUDIO_EXTENSIONS[audioOptions.codec]}`;
+                    const audioOutput = path.join(CONFIG.downloadDir, audioFilename);
+                    await execJobCommand('ffmpeg', [
+                        '-y', '-nostats', '-progress', 'pipe:1',
+                        '-i', path.join(CONFIG.downloadDir, anyVideo),
+                        '-vn', ...ffmpegAudioArgs(audioOptions),
                         audioOutput
-                    ], { timeout: 120000 });
+                    ], { timeout: 120000, ...ffmpegProgress('audio') });
                     
-                    results.audio = `/files/${jobId}_audio.mp3`;
-                    console.log(`✅ Audio extracted via ffmpeg: ${jobId}_audio.mp3`);
+                    results.audio = `/files/${audioFilename}`;
+                    console.log(`✅ Audio extracted via ffmpeg: ${audioFilename}`);
                 }
             } catch (ffmpegError) {
                 console.error('❌ Audio extraction via ffmpeg failed:', ffmpegError.message);
             }
         }
         
-        await delay(CONFIG.requestDelay + Math.random() * 5000);
+        if (results.audio) {
+            try {
+                await finishAudio(results.audio);
+            } catch (error) {
+                // The untouched file is still usable, so keep it
+                console.error('❌ Audio normalization/tagging failed:', error.message);
+            }
+        }
+        
+        onProgress('audio', results.audio ? { stage: 'done', percent: 100, eta_seconds: 0, file: results.audio } : { stage: 'failed' });
+        
+        await delay(CONFIG.requestDelay + Math.random() * 5000, signal);
+    }
+
+    // Without metadata the ranges couldn't be checked before downloading,
+    // so check them against the downloaded file before anything is cut
+    const clipSource = results.video || results.audio;
+    if (clip && clipSource && !Number.isFinite(videoInfo && videoInfo.duration)) {
+        let duration = null;
+        try {
+            ({ duration } = await probeMedia(path.join(CONFIG.downloadDir, clipSource.replace('/files/', '')), { signal }));
+        } catch (error) {
+            if (signal && signal.aborted) throw signal.reason;
+            console.warn(`⚠️ Could not read the duration of ${clipSource}, cutting without checking ranges: ${error.message}`);
+        }
+
+        const { segments, error: clipError } = resolveClipSegments(clip, duration);
+        if (clipError) {
+            await removeJobFiles(jobId);
+            const error = new Error(clipError);
+            error.type = 'invalid_clip';
+            throw error;
+        }
+        clip.segments = segments;
     }
 
-    // Create silent video with enhanced processing
-    if (formats.includes('silent_video') && results.video) {
+    // Create silent video with enhanced processing (clips cut it straight
+    // from the video further down instead)
+    if (formats.includes('silent_video') && results.video && !clip) {
         console.log('🔇 Creating silent video...');
         try {
             const originalVideoPath = path.join(CONFIG.downloadDir, results.video.replace('/files/', ''));
-            const silentVideoPath = path.join(CONFIG.downloadDir, `${jobId}_silent.mp4`);
+            const silentFilename = `${jobId}_silent.${silentOptions.container}`;
+            const silentVideoPath = path.join(CONFIG.downloadDir, silentFilename);
             
-            await execCommand('ffmpeg', [
-                '-y', '-i', originalVideoPath,
-                '-an', '-c:v', 'libx264', '-crf', '23',
-                '-preset', 'fast', '-movflags', '+faststart',
+            await execJobCommand('ffmpeg', [
+                '-y', '-nostats', '-progress', 'pipe:1',
+                '-i', originalVideoPath,
+                '-an', ...ffmpegVideoArgs(silentOptions),
                 silentVideoPath
-            ], { timeout: 120000 });
+            ], { timeout: 120000, ...ffmpegProgress('silent_video') });
             
-            results.silent_video = `/files/${jobId}_silent.mp4`;
-            console.log(`✅ Silent video created: ${jobId}_silent.mp4`);
+            results.silent_video = `/files/${silentFilename}`;
+            console.log(`✅ Silent video created: ${silentFilename}`);
         } catch (error) {
             console.error('❌ Silent video creation failed:', error.message);
         }
+        
+        onProgress('silent_video', results.silent_video ? { stage: 'done', percent: 100, eta_seconds: 0, file: results.silent_video } : { stage: 'failed' });
+    } else if (formats.includes('silent_video') && !results.video) {
+        onProgress('silent_video', { stage: 'skipped' });
+    }
+
+    // Subtitles: fetched as VTT, converted locally, optionally embedded in the video
+    if (formats.includes('subtitles')) {
+        console.log(`💬 Fetching subtitles (${subtitleOptions.languages.join(', ')})...`);
+        
+        try {
+            const sourceArgs = {
+                manual: ['--write-subs'],
+                auto: ['--write-auto-subs'],
+                any: ['--write-subs', '--write-auto-subs']
+            }[subtitleOptions.source];
+            
+            await execJobCommand('yt-dlp', [
+                ...getStealthArgs(),
+                '--skip-download',
+                ...sourceArgs,
+                '--sub-langs', subtitleOptions.languages.join(','),
+                '--sub-format', 'vtt/best',
+                '--convert-subs', 'vtt',
+                '-o', path.join(CONFIG.downloadDir, `${jobId}_subs.%(ext)s`),
+                url
+            ], { timeout: 120000, ...ytDlpProgress('subtitles') });
+            
+            // yt-dlp names them <jobId>_subs.<lang>.vtt
+            const subtitleFiles = (await fs.readdir(CONFIG.downloadDir))
+                .map(f => f.match(new RegExp(`^${jobId}_subs\\.(.+)\\.vtt$`)))
+                .filter(Boolean)
+                .sort((x, y) => subtitleOptions.languages.indexOf(x[1]) - subtitleOptions.languages.indexOf(y[1]));
+            
+            const subtitles = {};
+            for (const [vttFile, lang] of subtitleFiles) {
+                const entry = { vtt: `/files/${vttFile}` };
+                const contents = await fs.readFile(path.join(CONFIG.downloadDir, vttFile), 'utf8');
+                
+                if (subtitleOptions.convert.includes('srt')) {
+                    const srtFile = vttFile.replace(/\.vtt$/, '.srt');
+                    await fs.writeFile(path.join(CONFIG.downloadDir, srtFile), vttToSrt(contents));
+                    entry.srt = `/files/${srtFile}`;
+                }
+                if (subtitleOptions.convert.includes('txt')) {
+                    const txtFile = vttFile.replace(/\.vtt$/, '.txt');
+                    await fs.writeFile(path.join(CONFIG.downloadDir, txtFile), vttToText(contents));
+                    entry.txt = `/files/${txtFile}`;
+                }
+                subtitles[lang] = entry;
+            }
+            
+            if (Object.keys(subtitles).length > 0) {
+                results.subtitles = subtitles;
+                console.log(`✅ Subtitles downloaded: ${Object.keys(subtitles).join(', ')}`);
+            } else {
+                console.log('⚠️ No subtitles available for the requested languages');
+            }
+        } catch (error) {
+            console.error('❌ Subtitle download failed:', error.message);
+        }
+        
+        if (results.subtitles && subtitleOptions.embed !== 'none') {
+            if (results.video) {
+                try {
+                    await embedSubtitles(results.video, results.subtitles, subtitleOptions.embed, {
+                        signal,
+                        ...ffmpegProgress('subtitles')
+                    });
+                    console.log(`✅ Subtitles ${subtitleOptions.embed === 'burn' ? 'burned into' : 'muxed into'} video`);
+                } catch (error) {
+                    console.error('❌ Subtitle embedding failed:', error.message);
+                }
+            } else {
+                console.log('⚠️ No video to embed subtitles into');
+            }
+        }
+        
+        onProgress('subtitles', results.subtitles ? { stage: 'done', percent: 100, eta_seconds: 0 } : { stage: 'failed' });
+    }
+
+    // Thumbnail: YouTube's best thumbnail, or a frame grabbed from the video
+    if (formats.includes('thumbnail')) {
+        const { image_format: imageFormat } = thumbnailOptions;
+        const filename = `${jobId}_thumbnail.${imageFormat}`;
+        
+        try {
+            if (thumbnailOptions.timestamp !== null) {
+                const seconds = parseTimestamp(thumbnailOptions.timestamp);
+                if (!results.video) {
+                    throw new Error('no video to grab a frame from');
+                }
+                if (videoInfo && Number.isFinite(videoInfo.duration) && seconds >= videoInfo.duration) {
+                    throw new Error(`timestamp ${formatDuration(seconds)} is past the end of the video (${videoInfo.duration_string})`);
+                }
+                
+                console.log(`🖼️ Grabbing frame at ${formatDuration(seconds)}...`);
+                await execJobCommand('ffmpeg', [
+                    '-y', '-nostats', '-progress', 'pipe:1',
+                    '-ss', String(seconds),
+                    '-i', path.join(CONFIG.downloadDir, results.video.replace('/files/', '')),
+                    '-frames:v', '1', ...ffmpegImageArgs(imageFormat),
+                    path.join(CONFIG.downloadDir, filename)
+                ], { timeout: 60000 });
+            } else {
+                console.log('🖼️ Fetching best thumbnail...');
+                await execJobCommand('yt-dlp', [
+                    ...getStealthArgs(),
+                    '--skip-download',
+                    '--write-thumbnail',
+                    '--convert-thumbnails', imageFormat,
+                    '-o', path.join(CONFIG.downloadDir, `${jobId}_thumbnail.%(ext)s`),
+                    url
+                ], { timeout: 60000 });
+                await fs.access(path.join(CONFIG.downloadDir, filename));
+            }
+            
+            results.thumbnail = `/files/${filename}`;
+            console.log(`✅ Thumbnail saved: ${filename}`);
+        } catch (error) {
+            console.error('❌ Thumbnail failed:', error.message);
+        }
+        
+        onProgress('thumbnail', results.thumbnail ? { stage: 'done', percent: 100, eta_seconds: 0, file: results.thumbnail } : { stage: 'failed' });
+    }
+
+    // Contact sheet: a grid of evenly spaced frames from the video
+    if (formats.includes('contact_sheet')) {
+        const { frames, columns, tile_width: tileWidth, image_format: imageFormat } = contactSheetOptions;
+        const filename = `${jobId}_contact_sheet.${imageFormat}`;
+        const duration = videoInfo && videoInfo.duration;
+        
+        if (results.video && Number.isFinite(duration) && duration > 0) {
+            console.log(`🎞️ Building ${frames}-frame contact sheet...`);
+            try {
+                // One frame from the middle of each of `frames` equal slices
+                const interval = duration / frames;
+                await execJobCommand('ffmpeg', [
+                    '-y', '-nostats', '-progress', 'pipe:1',
+                    '-ss', String(interval / 2),
+                    '-i', path.join(CONFIG.downloadDir, results.video.replace('/files/', '')),
+                    '-vf', `fps=1/${interval},scale=${tileWidth}:-2,tile=${columns}x${Math.ceil(frames / columns)}:padding=4:margin=4`,
+                    '-frames:v', '1', ...ffmpegImageArgs(imageFormat),
+                    path.join(CONFIG.downloadDir, filename)
+                ], { timeout: 600000, ...ffmpegProgress('contact_sheet', duration) });
+                
+                results.contact_sheet = `/files/${filename}`;
+                console.log(`✅ Contact sheet saved: ${filename}`);
+            } catch (error) {
+                console.error('❌ Contact sheet failed:', error.message);
+            }
+        } else {
+            console.log('⚠️ Contact sheet needs the downloaded video and its duration');
+        }
+        
+        onProgress('contact_sheet', results.contact_sheet ? { stage: 'done', percent: 100, eta_seconds: 0, file: results.contact_sheet } : { stage: 'failed' });
+    }
+
+    // Animated preview: a short looping GIF/WebP cut from the downloaded video
+    if (formats.includes('preview') && results.video) {
+        const start = parseTimestamp(previewOptions.start);
+        const filename = `${jobId}_preview.${previewOptions.image_format}`;
+        
+        try {
+            if (videoInfo && Number.isFinite(videoInfo.duration) && start >= videoInfo.duration) {
+                throw new Error(`start ${formatDuration(start)} is past the end of the video (${videoInfo.duration_string})`);
+            }
+            
+            console.log(`🎬 Creating ${previewOptions.duration}s ${previewOptions.image_format} preview...`);
+            await execJobCommand('ffmpeg', [
+                '-y', '-nostats', '-progress', 'pipe:1',
+                '-ss', String(start), '-t', String(previewOptions.duration),
+                '-i', path.join(CONFIG.downloadDir, results.video.replace('/files/', '')),
+                ...ffmpegAnimationArgs(previewOptions),
+                path.join(CONFIG.downloadDir, filename)
+            ], { timeout: 120000, ...ffmpegProgress('preview', previewOptions.duration) });
+            
+            results.preview = `/files/${filename}`;
+            console.log(`✅ Preview created: ${filename}`);
+        } catch (error) {
+            console.error('❌ Preview creation failed:', error.message);
+        }
+        
+        onProgress('preview', results.preview ? { stage: 'done', percent: 100, eta_seconds: 0, file: results.preview } : { stage: 'failed' });
+    } else if (formats.includes('preview')) {
+        onProgress('preview', { stage: 'skipped' });
+    }
+
+    // Clip trimming: re-encode each media output down to the requested ranges
+    if (clip) {
+        const sources = {
+            video: results.video,
+            audio: results.audio,
+            silent_video: formats.includes('silent_video') ? results.video : null
+        };
+        const clipFormats = Object.keys(sources).filter(format => sources[format]);
+        const outputs = clip.segments.length > 1 && !clip.concat
+            ? clip.segments.map((segment, index) => ({ base: `${jobId}_clip${index + 1}`, segments: [segment] }))
+            : [{ base: `${jobId}_clip`, segments: clip.segments }];
+        
+        console.log(`✂️ Cutting ${clipFormats.join(', ')} to ${clip.segments.length} segment(s)...`);
+        
+        const clipped = {};
+        for (const format of clipFormats) {
+            const { outputExt, suffix } = cutSettings(format, sources[format]);
+            
+            try {
+                clipped[format] = [];
+                for (const output of outputs) {
+                    const filename = `${output.base}${suffix}.${outputExt}`;
+                    await cutMedia(format, sources[format], output.segments, filename);
+                    clipped[format].push(`/files/${filename}`);
+                }
+                console.log(`✅ ${format} cut: ${clipped[format].length} file(s)`);
+            } catch (error) {
+                // A full-length file would be the wrong output, so drop it
+                console.error(`❌ Cutting ${format} failed:`, error.message);
+                delete clipped[format];
+            }
+        }
+        
+        for (const format of clipFormats) {
+            if (results[format]) {
+                await fs.unlink(path.join(CONFIG.downloadDir, results[format].replace('/files/', ''))).catch(() => {});
+                delete results[format];
+            }
+        }
+        
+        if (outputs.length === 1) {
+            for (const [format, files] of Object.entries(clipped)) {
+                results[format] = files[0];
+            }
+        } else if (Object.keys(clipped).length > 0) {
+            results.segments = clip.segments.map((segment, index) => {
+                const entry = { index: index + 1, start: segment.start, end: segment.end };
+                for (const [format, files] of Object.entries(clipped)) {
+                    entry[format] = files[index];
+                }
+                return entry;
+            });
+        }
+        
+        for (const format of clipFormats) {
+            onProgress(format, clipped[format] ? { stage: 'done', percent: 100, eta_seconds: 0, file: clipped[format][0] } : { stage: 'failed' });
+        }
+    }
+
+    // Chapter splitting: one file per chapter alongside the full-length output
+    const splitFormats = splitChapters.filter(format => results[format]);
+    if (splitFormats.length > 0) {
+        const manifest = chapterManifest((videoInfo && videoInfo.chapters) || []);
+        
+        if (manifest.length === 0) {
+            console.log('⚠️ Video has no chapters, keeping the full-length files only');
+        } else {
+            console.log(`📑 Splitting ${splitFormats.join(', ')} into ${manifest.length} chapters...`);
+            
+            for (const format of splitFormats) {
+                const { outputExt, suffix } = cutSettings(format, results[format]);
+                
+                let splitError = null;
+                try {
+                    for (const entry of manifest) {
+                        const filename = `${jobId}_${chapterFileBase(entry.index, entry.title)}${suffix}.${outputExt}`;
+                        const metadataArgs = ['-map_chapters', '-1', '-metadata', `title=${entry.title}`];
+                        if (format === 'audio') {
+                            metadataArgs.push('-metadata', `track=${entry.index}/${manifest.length}`);
+                            if (videoInfo.title) metadataArgs.push('-metadata', `album=${videoInfo.title}`);
+                            if (videoInfo.channel) metadataArgs.push('-metadata', `artist=${videoInfo.channel}`);
+                        }
+                        
+                        await cutMedia(format, results[format], [{ start: entry.start, end: entry.end }], filename, metadataArgs);
+                        entry[format] = `/files/${filename}`;
+                    }
+                    console.log(`✅ ${format} split into ${manifest.length} chapters`);
+                } catch (error) {
+                    console.error(`❌ Splitting ${format} into chapters failed:`, error.message);
+                    manifest.forEach(entry => delete entry[format]);
+                    splitError = `Splitting into chapters failed: ${error.message.trim()}`;
+                }
+                
+                // The full-length file is kept either way
+                onProgress(format, splitError ? { stage: 'failed', error: splitError } : { stage: 'done', percent: 100, eta_seconds: 0 });
+            }
+            
+            if (manifest.some(entry => splitFormats.some(format => entry[format]))) {
+                results.chapters = manifest;
+            }
+        }
+    }
+
+    // HLS: master playlist plus one segmented rendition per requested height,
+    // written to a per-job directory served by /files/:jobId/hls/*
+    if (formats.includes('hls') && results.video) {
+        console.log(`📺 Packaging HLS (${hlsOptions.renditions.map(h => `${h}p`).join(', ')})...`);
+        const hlsDir = path.join(CONFIG.downloadDir, `${jobId}_hls`);
+        const videoPath = path.join(CONFIG.downloadDir, results.video.replace('/files/', ''));
+        
+        try {
+            // Some sources have no sound; assume they do if the probe fails
+            let audio = true;
+            try {
+                ({ hasAudio: audio } = await probeMedia(videoPath, { signal }));
+            } catch (error) {
+                if (signal && signal.aborted) throw signal.reason;
+                console.warn(`⚠️ Could not probe ${results.video} for audio, packaging with audio: ${error.message}`);
+            }
+            
+            for (const height of hlsOptions.renditions) {
+                await fs.mkdir(path.join(hlsDir, `stream_${height}p`), { recursive: true });
+            }
+            await execJobCommand('ffmpeg', [
+                '-y', '-nostats', '-progress', 'pipe:1',
+                '-i', videoPath,
+                ...ffmpegHlsArgs(hlsOptions, hlsDir, { audio })
+            ], { timeout: 1800000, ...ffmpegProgress('hls', videoInfo && videoInfo.duration) });
+            
+            results.hls = `/files/${jobId}/hls/master.m3u8`;
+            console.log('✅ HLS packaged');
+        } catch (error) {
+            console.error('❌ HLS packaging failed:', error.message);
+            await fs.rm(hlsDir, { recursive: true, force: true });
+        }
+        
+        onProgress('hls', results.hls ? { stage: 'done', percent: 100, eta_seconds: 0, file: results.hls } : { stage: 'failed' });
+    } else if (formats.includes('hls')) {
+        onProgress('hls', { stage: 'skipped' });
+    }
+
+    // Waveform: peaks JSON (and optionally a PNG) from the final audio file
+    if (formats.includes('waveform') && results.audio) {
+        console.log('🌊 Generating waveform...');
+        const audioPath = path.join(CONFIG.downloadDir, results.audio.replace('/files/', ''));
+        const pcmPath = path.join(CONFIG.tempDir, `${jobId}_waveform.pcm`);
+        const waveform = {};
+        
+        try {
+            await execJobCommand('ffmpeg', [
+                '-y', '-nostats', '-progress', 'pipe:1',
+                '-i', audioPath,
+                '-vn', '-ac', '1', '-ar', String(WAVEFORM_SAMPLE_RATE), '-f', 's16le', '-c:a', 'pcm_s16le',
+                pcmPath
+            ], { timeout: 300000, ...ffmpegProgress('waveform') });
+            
+            const peaks = await computePeaks(pcmPath, {
+                pixelsPerSecond: waveformOptions.pixels_per_second,
+                bits: waveformOptions.bits
+            });
+            const jsonFilename = `${jobId}_waveform.json`;
+            await fs.writeFile(path.join(CONFIG.downloadDir, jsonFilename), JSON.stringify(peaks));
+            waveform.json = `/files/${jsonFilename}`;
+            
+            if (waveformOptions.png) {
+                const pngFilename = `${jobId}_waveform.png`;
+                await execJobCommand('ffmpeg', [
+                    '-y', '-nostats',
+                    '-i', audioPath,
+                    '-filter_complex', `aformat=channel_layouts=mono,showwavespic=s=${waveformOptions.png_width}x${waveformOptions.png_height}:colors=#3b82f6`,
+                    '-frames:v', '1',
+                    path.join(CONFIG.downloadDir, pngFilename)
+                ], { timeout: 300000 });
+                waveform.png = `/files/${pngFilename}`;
+            }
+            
+            console.log(`✅ Waveform generated: ${peaks.length} points`);
+        } catch (error) {
+            console.error('❌ Waveform generation failed:', error.message);
+        } finally {
+            await fs.unlink(pcmPath).catch(() => {});
+        }
+        
+        if (waveform.json) {
+            results.waveform = waveform;
+        }
+        onProgress('waveform', results.waveform ? { stage: 'done', percent: 100, eta_seconds: 0, file: results.waveform.json } : { stage: 'failed' });
+    } else if (formats.includes('waveform')) {
+        onProgress('waveform', { stage: 'skipped' });
     }
 
     return results;
 }
 
+// Subtitle stream codec each video container accepts when muxing
+const SUBTITLE_MUX_CODECS = { '.mp4': 'mov_text', '.webm': 'webvtt', '.mkv': 'srt' };
+
+// Escape a path for use inside an ffmpeg filter argument
+const escapeFilterPath = (filePath) => filePath.replace(/\\/g, '/').replace(/([:'\[\],;])/g, '\\$1');
+
+// Rewrite the video file in place with subtitles either added as selectable
+// tracks (mux) or rendered into the picture (burn, first language only)
+async function embedSubtitles(videoUrl, subtitles, mode, commandOptions) {
+    const videoFile = videoUrl.replace('/files/', '');
+    const videoPath = path.join(CONFIG.downloadDir, videoFile);
+    const ext = path.extname(videoFile);
+    const outputPath = path.join(CONFIG.downloadDir, `${path.basename(videoFile, ext)}_embed${ext}`);
+    const tracks = Object.entries(subtitles).map(([lang, entry]) => ({
+        lang,
+        path: path.join(CONFIG.downloadDir, entry.vtt.replace('/files/', ''))
+    }));
+
+    let args;
+    if (mode === 'burn') {
+        args = [
+            '-i', videoPath,
+            '-vf', `subtitles=${escapeFilterPath(tracks[0].path)}`,
+            ...ffmpegVideoArgs({ max_height: null, container: ext.slice(1), video_codec: 'any' }),
+            '-c:a', 'copy'
+        ];
+    } else {
+        args = ['-i', videoPath];
+        tracks.forEach(track => args.push('-i', track.path));
+        args.push('-map', '0:v', '-map', '0:a?');
+        tracks.forEach((track, index) => {
+            args.push('-map', `${index + 1}:s`, `-metadata:s:s:${index}`, `language=${track.lang}`);
+        });
+        args.push('-c:v', 'copy', '-c:a', 'copy', '-c:s', SUBTITLE_MUX_CODECS[ext] || 'mov_text');
+    }
+
+    try {
+        await execCommand('ffmpeg', ['-y', '-nostats', '-progress', 'pipe:1', ...args, outputPath], {
+            timeout: 600000,
+            ...commandOptions
+        });
+        await fs.rename(outputPath, videoPath);
+    } catch (error) {
+        await fs.unlink(outputPath).catch(() => {});
+        throw error;
+    }
+}
+
+// Merge a progress update into job.formatProgress and derive the overall
+// percentage - the download phase spans 40-95% of job.progress
+function updateFormatProgress(job, format, update) {
+    const previous = job.formatProgress[format] || {};
+    const next = { ...previous };
+    for (const [key, value] of Object.entries(update)) {
+        if (value !== null && value !== undefined) next[key] = value;
+    }
+    next.updated_at = new Date().toISOString();
+    job.formatProgress[format] = next;
+
+    const finished = ['done', 'failed', 'skipped'];
+    const percents = job.formats.map(f => {
+        const entry = job.formatProgress[f] || {};
+        return finished.includes(entry.stage) ? 100 : (entry.percent || 0);
+    });
+    const average = percents.reduce((sum, p) => sum + p, 0) / percents.length;
+    job.progress = Math.max(job.progress, 40 + Math.floor(average * 0.55));
+}
+
 // Enhanced job processing with better error handling
 async function processDownloadJob(jobId) {
     const job = jobs.get(jobId);
-    if (!job) return;
+    // Cancelled while waiting in the queue
+    if (!job || job.status === 'cancelled') return;
 
     const sessionId = `session_${jobId}`;
+    const controller = new AbortController();
+    const { signal } = controller;
+    let markFinished;
+    jobRuns.set(jobId, { controller, finished: new Promise(resolve => { markFinished = resolve; }) });
     
     try {
         console.log(`🚀 Processing job with enhanced stealth: ${jobId.slice(0, 8)}...`);
         job.status = 'processing';
         job.progress = 5;
-        activeDownloads.add(jobId);
+        job.startedAt = new Date().toISOString();
+        job.formatProgress = {};
+        job.formats.forEach(format => {
+            job.formatProgress[format] = { stage: 'pending', percent: 0 };
+        });
+        jobs.save(job);
+        jobEvents.publish(jobId, 'status', { status: job.status, progress: job.progress });
 
         // Enhanced rate limiting check
         if (!checkRateLimit(sessionId)) {
@@ -489,7 +1485,7 @@ async function processDownloadJob(jobId) {
         }
 
         // URL validation
-        if (!validateYouTubeUrl(job.url)) {
+        if (!parseVideoUrl(job.url)) {
             throw new Error('Invalid YouTube URL format');
         }
 
@@ -501,36 +1497,101 @@ async function processDownloadJob(jobId) {
         const totalDelay = baseDelay + randomDelay;
         
         console.log(`⏳ Enhanced stealth delay: ${Math.round(totalDelay/1000)}s`);
-        await delay(totalDelay);
+        await delay(totalDelay, signal);
+
+        job.progress = 25;
+
+        // Fetch metadata first so clients can see what they're getting
+        try {
+            job.videoInfo = summarizeVideoInfo(await fetchVideoInfo(job.url, { signal }));
+            jobs.save(job);
+            jobEvents.publish(jobId, 'info', { video_info: job.videoInfo });
+        } catch (error) {
+            signal.throwIfAborted();
+            console.warn(`⚠️ Metadata lookup failed for job ${jobId.slice(0, 8)}..., continuing: ${error.message}`);
+        }
+
+        const maxDuration = job.maxDuration || CONFIG.maxVideoDuration;
+        if (maxDuration && job.videoInfo && job.videoInfo.duration > maxDuration) {
+            const error = new Error(`Video duration ${job.videoInfo.duration_string} exceeds the maximum of ${formatDuration(maxDuration)}`);
+            error.type = 'duration_limit';
+            throw error;
+        }
+
+        // Ranges past the end of the video are only detectable now
+        let clip = null;
+        if (job.clip) {
+            const { segments, error: clipError } = resolveClipSegments(job.clip, job.videoInfo && job.videoInfo.duration);
+            if (clipError) {
+                const error = new Error(clipError);
+                error.type = 'invalid_clip';
+                throw error;
+            }
+            clip = { segments, concat: job.clip.concat };
+        }
+
+        await delay(3000 + Math.random() * 4000, signal);
 
         job.progress = 40;
 
         // Download files with enhanced stealth
-        const downloadResults = await downloadWithYtDlp(job.url, jobId, job.formats, sessionId);
+        const downloadResults = await downloadWithYtDlp(job.url, jobId, job.formats, sessionId, {
+            signal,
+            formatOptions: job.formatOptions,
+            clip,
+            splitChapters: job.splitChapters,
+            videoInfo: job.videoInfo,
+            onProgress: (format, update) => {
+                updateFormatProgress(job, format, update);
+                jobEvents.publish(jobId, 'progress', {
+                    progress: job.progress,
+                    format,
+                    format_progress: job.formatProgress[format]
+                });
+                if (update.file) {
+                    jobEvents.publish(jobId, 'file', { format, file: update.file });
+                }
+            }
+        });
+        
+        // Individual format failures are swallowed, so check for cancellation here
+        signal.throwIfAborted();
         
         if (Object.keys(downloadResults).length === 0) {
             throw new Error('No files downloaded - YouTube may have detected automation or video is unavailable');
         }
         
         job.files = downloadResults;
+        job.storageBytes = await jobStorageBytes(CONFIG.downloadDir, downloadResults);
+        await saveJobFiles(downloadResults);
         job.progress = 95;
+        jobs.save(job);
 
         // Final delay before completion
-        await delay(2000 + Math.random() * 3000);
+        await delay(2000 + Math.random() * 3000, signal);
 
         // Complete job
         job.status = 'completed';
         job.progress = 100;
         job.completedAt = new Date().toISOString();
+        if (job.cacheKey) resultCache.set(job.cacheKey, jobId);
 
         console.log(`✅ Job completed successfully: ${jobId.slice(0, 8)}... (${Object.keys(downloadResults).length} files)`);
 
     } catch (error) {
+        if (signal.aborted) {
+            await markJobCancelled(job);
+            return;
+        }
+
         job.status = 'failed';
         job.error = error.message;
         
         // Enhanced error categorization
-        if (error.message.includes('Failed to extract any player response') ||
+        if (error.type) {
+            job.errorType = error.type;
+            console.error(`❌ Job rejected ${jobId.slice(0, 8)}...: ${error.message}`);
+        } else if (error.message.includes('Failed to extract any player response') ||
             error.message.includes('Sign in to confirm') ||
             error.message.includes('bot') ||
             error.message.includes('429') ||
@@ -554,11 +1615,642 @@ async function processDownloadJob(jobId) {
             console.error(`❌ Job failed ${jobId.slice(0, 8)}...: ${error.message}`);
         }
     } finally {
-        activeDownloads.delete(jobId);
+        jobRuns.delete(jobId);
+        markFinished();
+        finishJob(job);
     }
 }
 
-// API Routes
+// Persist and announce a job that has reached a final status
+function finishJob(job) {
+    jobs.save(job);
+    jobEvents.publish(job.id, job.status, buildStatusResponse(job));
+    sendJobCallback(job);
+    settleFollowers(job);
+
+    // New files may take downloads over the disk budget
+    if (job.status === 'completed' && CONFIG.diskBudgetMb) cleanOldFiles();
+
+    if (job.parentId) {
+        const parent = jobs.get(job.parentId);
+        if (parent) updateParentJob(parent);
+    }
+}
+
+// Result cache: a request for the same video and output options as a recent
+// job reuses its files, and one matching a queued or running job waits on it
+
+// Matching job that is queued, running, or completed within retention
+function findCachedJob(key) {
+    const job = jobs.get(resultCache.get(key));
+    if (!job) return null;
+
+    if (job.status === 'queued' || job.status === 'processing') return job;
+    if (job.status === 'completed') {
+        const expiresAt = storage.expiresAt(job);
+        if (expiresAt === null || expiresAt > Date.now()) return job;
+    }
+
+    resultCache.delete(key);
+    return null;
+}
+
+// Fields that turn a job into a completed copy of source, sharing its files
+const cachedResult = (source) => ({
+    status: 'completed',
+    progress: 100,
+    files: source.files,
+    videoInfo: source.videoInfo,
+    cachedFrom: source.cachedFrom || source.id,
+    storageBytes: 0, // The files are counted against the job that produced them
+    completedAt: new Date().toISOString()
+});
+
+const linkSharedFiles = (job) => {
+    if (!sharedFiles.has(job.cachedFrom)) sharedFiles.set(job.cachedFrom, new Set());
+    sharedFiles.get(job.cachedFrom).add(job.id);
+};
+
+// Mirror a queued/running job's status and events onto a job attached to it
+function attachToJob(job, source) {
+    job.attachedTo = source.id;
+    job.status = source.status;
+    job.progress = source.progress;
+
+    followers.set(job.id, jobEvents.subscribe(source.id, (event) => {
+        // The outcome is handed over by settleFollowers
+        if (TERMINAL_STATUSES.includes(event.type)) return;
+
+        job.progress = source.progress;
+        job.formatProgress = source.formatProgress;
+        if (job.status !== source.status) {
+            job.status = source.status;
+            job.startedAt = source.startedAt;
+            jobs.save(job);
+        }
+        jobEvents.publish(job.id, event.type, event.data);
+    }));
+}
+
+function detachFromJob(job) {
+    const unsubscribe = followers.get(job.id);
+    if (unsubscribe) unsubscribe();
+    followers.delete(job.id);
+    delete job.attachedTo;
+}
+
+// Give a finished job's outcome to every job attached to it. If it was
+// cancelled, that was only its owner giving up - the first follower is
+// queued to download instead and the rest follow that one
+function settleFollowers(source) {
+    const attached = Array.from(followers.keys())
+        .map(id => jobs.get(id))
+        .filter(job => job && job.attachedTo === source.id);
+    if (attached.length === 0) return;
+    attached.forEach(detachFromJob);
+
+    if (source.status === 'cancelled' || source.status === 'interrupted') {
+        const [next, ...rest] = attached;
+        delete next.cache;
+        next.status = 'queued';
+        next.progress = 0;
+        next.queuedAt = new Date().toISOString();
+        jobs.save(next);
+        resultCache.set(next.cacheKey, next.id);
+        const queuePosition = downloadQueue.enqueue(next.id);
+        jobEvents.publish(next.id, 'status', { status: 'queued', queue_position: queuePosition });
+
+        rest.forEach(job => {
+            attachToJob(job, next);
+            jobs.save(job);
+        });
+        return;
+    }
+
+    for (const job of attached) {
+        if (source.status === 'completed') {
+            Object.assign(job, cachedResult(source));
+            linkSharedFiles(job);
+        } else {
+            job.status = source.status;
+            job.progress = source.progress;
+            job.error = source.error;
+            job.errorType = source.errorType;
+        }
+        finishJob(job);
+    }
+}
+
+// Parent jobs (playlists and batches) never enter the queue themselves -
+// they expand into child download jobs and track them to completion
+function createParentJob(type, urls, options, playlistItems) {
+    const jobId = generateJobId();
+    const job = {
+        id: jobId,
+        type,
+        url: urls.length === 1 ? urls[0] : null,
+        urls,
+        formats: options.formats,
+        formatOptions: options.formatOptions,
+        maxDuration: options.maxDuration,
+        clip: options.clip,
+        splitChapters: options.splitChapters,
+        useCache: options.useCache,
+        retention: options.retention,
+        apiKey: options.apiKey,
+        playlistItems,
+        status: 'expanding',
+        progress: 0,
+        createdAt: new Date().toISOString(),
+        files: {},
+        children: [],
+        playlists: [],
+        clientIp: options.clientIp,
+        enhancedStealth: true
+    };
+
+    if (options.callback) attachCallback(job, options.callback);
+
+    jobs.set(jobId, job);
+    jobEvents.publish(jobId, 'status', { status: job.status });
+    expandParentJob(job);
+
+    return job;
+}
+
+async function expandParentJob(parent) {
+    // Cancelling the parent stops a playlist listing that is still running
+    const controller = new AbortController();
+    let markFinished;
+    jobRuns.set(parent.id, { controller, finished: new Promise(resolve => { markFinished = resolve; }) });
+
+    try {
+        const entries = [];
+
+        for (const url of parent.urls) {
+            if (!parsePlaylistUrl(url)) {
+                entries.push({ url, title: null });
+                continue;
+            }
+
+            console.log(`📜 Expanding playlist for job ${parent.id.slice(0, 8)}...`);
+            const playlist = await fetchPlaylistEntries(url, parent.playlistItems, { signal: controller.signal });
+            parent.playlists.push({
+                id: playlist.id,
+                title: playlist.title,
+                channel: playlist.channel,
+                url,
+                entry_count: playlist.entries.length
+            });
+            entries.push(...playlist.entries);
+        }
+
+        // Cancelled while the playlist was being listed
+        if (parent.status !== 'expanding') return;
+
+        if (entries.length === 0) {
+            throw new Error('Playlist is empty or unavailable');
+        }
+
+        // Playlists only show their size now, so the key's daily quota and
+        // the queue depth are applied here rather than when the job was submitted
+        let maxChildren = CONFIG.maxBatchSize;
+        let limitReason = 'max_batch_size';
+        const key = parent.apiKey ? apiKeys.get(parent.apiKey) : null;
+        if (key && key.dailyJobs !== null) {
+            const remaining = key.dailyJobs - getKeyUsage(key).jobsToday;
+            if (remaining <= 0) {
+                const error = new Error(`Daily job quota of ${key.dailyJobs} jobs is used up`);
+                error.type = 'quota_exceeded';
+                throw error;
+            }
+            if (remaining < maxChildren) {
+                maxChildren = remaining;
+                limitReason = 'daily_quota';
+            }
+        }
+
+        const room = downloadQueue.room();
+        if (room === 0) {
+            const error = new Error('Download queue is full');
+            error.type = 'queue_full';
+            throw error;
+        }
+        if (room < maxChildren) {
+            maxChildren = room;
+            limitReason = 'queue_full';
+        }
+
+        if (entries.length > maxChildren) {
+            console.warn(`⚠️ Job ${parent.id.slice(0, 8)}... has ${entries.length} videos, keeping the first ${maxChildren}`);
+            parent.truncatedFrom = entries.length;
+            parent.truncatedReason = limitReason;
+        }
+
+        const childOptions = {
+            formats: parent.formats,
+            formatOptions: parent.formatOptions,
+            maxDuration: parent.maxDuration,
+            clip: parent.clip,
+            splitChapters: parent.splitChapters,
+            useCache: parent.useCache,
+            retention: parent.retention,
+            clientIp: parent.clientIp,
+            apiKey: parent.apiKey
+        };
+
+        parent.status = 'processing';
+        entries.slice(0, maxChildren).forEach((entry, index) => {
+            const { job } = createDownloadJob(entry.url, childOptions, {
+                parentId: parent.id,
+                batchIndex: index + 1,
+                title: entry.title
+            });
+            parent.children.push(job.id);
+        });
+
+        jobs.save(parent);
+        jobEvents.publish(parent.id, 'status', { status: parent.status, child_count: parent.children.length });
+        console.log(`📦 Job ${parent.id.slice(0, 8)}... queued ${parent.children.length} child jobs`);
+
+    } catch (error) {
+        if (parent.status !== 'expanding') return;
+        parent.status = 'failed';
+        parent.error = error.message;
+        parent.errorType = error.type || 'playlist_error';
+        console.error(`❌ Playlist expansion failed for job ${parent.id.slice(0, 8)}...: ${error.message}`);
+        finishJob(parent);
+    } finally {
+        jobRuns.delete(parent.id);
+        markFinished();
+    }
+}
+
+// Recompute aggregate progress and close the parent once every child is done
+function updateParentJob(parent) {
+    if (TERMINAL_STATUSES.includes(parent.status)) return;
+
+    const children = parent.children.map(id => jobs.get(id)).filter(Boolean);
+    if (children.length === 0) return;
+
+    parent.progress = Math.floor(children.reduce((sum, child) => sum + (child.progress || 0), 0) / children.length);
+
+    if (!children.every(child => TERMINAL_STATUSES.includes(child.status))) {
+        jobs.save(parent);
+        jobEvents.publish(parent.id, 'progress', { progress: parent.progress });
+        return;
+    }
+
+    const completed = children.filter(child => child.status === 'completed').length;
+    if (completed > 0) {
+        parent.status = 'completed';
+        parent.progress = 100;
+        parent.completedAt = new Date().toISOString();
+        console.log(`✅ Parent job completed: ${parent.id.slice(0, 8)}... (${completed}/${children.length} videos)`);
+    } else {
+        parent.status = 'failed';
+        parent.error = 'Every video in the batch failed';
+        parent.errorType = 'batch_failed';
+        console.error(`❌ Parent job failed: ${parent.id.slice(0, 8)}...`);
+    }
+    finishJob(parent);
+}
+
+// Pick a parent back up after a restart with REQUEUE_INTERRUPTED_JOBS
+function resumeParentJob(parent) {
+    if (parent.children.length === 0) {
+        parent.status = 'expanding';
+        parent.playlists = [];
+        expandParentJob(parent);
+    } else {
+        parent.status = 'processing';
+        updateParentJob(parent);
+    }
+}
+
+// Hand a finished job's files to the storage backend (a no-op for local
+// storage) before any links to them are given out
+async function saveJobFiles(files) {
+    for (const name of new Set(listFileUrls(files).map(storageName))) {
+        try {
+            await fileStorage.save(name);
+        } catch (error) {
+            const storageError = new Error(`Could not store ${name}: ${error.message}`);
+            storageError.type = 'storage';
+            throw storageError;
+        }
+    }
+}
+
+// Delete every file (complete or partial) belonging to a job
+async function removeJobFiles(jobId) {
+    let removed = 0;
+
+    for (const dir of [CONFIG.downloadDir, CONFIG.tempDir]) {
+        let files;
+        try {
+            files = await fs.readdir(dir);
+        } catch {
+            continue;
+        }
+
+        for (const file of files.filter(f => f.includes(jobId))) {
+            try {
+                await fs.rm(path.join(dir, file), { recursive: true, force: true });
+                removed++;
+            } catch (error) {
+                console.error(`❌ Could not remove ${file}:`, error.message);
+            }
+        }
+    }
+
+    return removed;
+}
+
+async function markJobCancelled(job) {
+    job.status = 'cancelled';
+    job.error = 'Job cancelled by request';
+    job.errorType = 'cancelled';
+    job.cancelledAt = new Date().toISOString();
+    job.files = {};
+
+    const removed = await removeJobFiles(job.id);
+    console.log(`🛑 Job cancelled: ${job.id.slice(0, 8)}... (${removed} files removed)`);
+}
+
+// Stop a queued or running job; resolves once the job has settled
+async function cancelJob(job) {
+    if (job.children) {
+        // Mark the parent first so finishing children don't complete it
+        await markJobCancelled(job);
+        const run = jobRuns.get(job.id);
+        if (run) run.controller.abort(new Error('Job cancelled by request'));
+        const pending = job.children
+            .map(id => jobs.get(id))
+            .filter(child => child && !TERMINAL_STATUSES.includes(child.status));
+        await Promise.all(pending.map(child => cancelJob(child)));
+        finishJob(job);
+        return;
+    }
+
+    // Attached jobs have nothing running of their own
+    if (job.status === 'queued' || job.attachedTo) {
+        downloadQueue.remove(job.id);
+        detachFromJob(job);
+        await markJobCancelled(job);
+        finishJob(job);
+        return;
+    }
+
+    const run = jobRuns.get(job.id);
+    if (run) {
+        run.controller.abort(new Error('Job cancelled by request'));
+        await run.finished;
+    }
+}
+
+// The job store records which callback headers and whether a secret were
+// set, and their values only encrypted with CALLBACK_CREDENTIALS_KEY
+function attachCallback(job, { headers, secret, ...callback }) {
+    job.callback = { ...callback, headerNames: Object.keys(headers), hasSecret: Boolean(secret) };
+    if (CONFIG.callbackCredentialsKey && (secret || Object.keys(headers).length > 0)) {
+        job.callback.sealedCredentials = sealCredentials(CONFIG.callbackCredentialsKey, { headers, secret });
+    }
+    callbackCredentials.set(job.id, { headers, secret });
+}
+
+// POST the final status to the job's callback_url, recording every attempt
+async function sendJobCallback(job) {
+    if (!job.callback || job.callback.status === 'delivered') return;
+
+    const { callback, ...status } = buildStatusResponse(job);
+    const usesCredentials = job.callback.hasSecret || (job.callback.headerNames || []).length > 0;
+    let credentials = callbackCredentials.get(job.id);
+    if (!credentials && usesCredentials && job.callback.sealedCredentials && CONFIG.callbackCredentialsKey) {
+        credentials = openCredentials(CONFIG.callbackCredentialsKey, job.callback.sealedCredentials);
+    }
+
+    // Lost in a restart: sign with WEBHOOK_SECRET instead, or give up rather
+    // than send the callback unsigned
+    if (!credentials && usesCredentials) {
+        if (!CONFIG.webhookSecret) {
+            job.callback.status = 'failed';
+            job.callback.deliveries.push({
+                attempt: 0,
+                at: new Date().toISOString(),
+                ok: false,
+                error: 'callback_headers and callback_secret were lost in a restart - set CALLBACK_CREDENTIALS_KEY or WEBHOOK_SECRET'
+            });
+            jobs.save(job);
+            console.warn(`⚠️ Callback for job ${job.id.slice(0, 8)}... dropped - its headers or secret were lost in a restart`);
+            return;
+        }
+        console.warn(`⚠️ Callback headers or secret for job ${job.id.slice(0, 8)}... were lost in a restart - signing with WEBHOOK_SECRET`);
+    }
+
+    job.callback.status = 'pending';
+
+    const delivered = await deliverWebhook({
+        url: job.callback.url,
+        headers: credentials && credentials.headers,
+        secret: (credentials && credentials.secret) || CONFIG.webhookSecret,
+        payload: { event: `job.${job.status}`, ...status },
+        maxAttempts: CONFIG.webhookMaxAttempts,
+        baseDelayMs: CONFIG.webhookRetryDelay,
+        allowPrivate: CONFIG.webhookAllowPrivateHosts,
+        onAttempt: (attempt) => {
+            job.callback.deliveries.push(attempt);
+            jobs.save(job);
+            if (!attempt.ok) {
+                console.warn(`⚠️ Callback attempt ${attempt.attempt} failed for job ${job.id.slice(0, 8)}...: ${attempt.error || attempt.status_code}`);
+            }
+        }
+    });
+
+    job.callback.status = delivered ? 'delivered' : 'failed';
+    delete job.callback.sealedCredentials;
+    callbackCredentials.delete(job.id);
+    jobs.save(job);
+    console.log(`${delivered ? '📨' : '❌'} Callback ${job.callback.status} for job ${job.id.slice(0, 8)}...`);
+}
+
+// The Server-Sent Events endpoints, the only ones taking ?api_key=
+const EVENT_STREAM_PATH = /^\/api\/(?:status\/[^/]+\/)?events\/?$/;
+
+// API key authentication - every /api and /files request needs a key once
+// any keys are configured
+const requireApiKey = (req, res, next) => {
+    if (apiKeys.size === 0) return next();
+
+    const presented = readApiKey(req, { allowQuery: req.method === 'GET' && EVENT_STREAM_PATH.test(req.originalUrl.split('?')[0]) });
+    if (!presented) {
+        return res.status(401).json({
+            error: 'API key required',
+            message: 'Send your key in the X-API-Key header or as Authorization: Bearer <key>'
+        });
+    }
+
+    const key = apiKeys.find(presented);
+    if (!key) {
+        return res.status(401).json({
+            error: 'Invalid API key',
+            message: 'The key is not recognised - check for typos or ask for a new one'
+        });
+    }
+    if (key.disabled) {
+        return res.status(403).json({
+            error: 'API key disabled',
+            key: key.name
+        });
+    }
+
+    req.apiKey = key;
+    next();
+};
+app.use('/api/', requireApiKey);
+
+// A valid signed link is enough on its own; unsigned file requests need an
+// API key like the rest of the API
+app.use('/files/', (req, res, next) => {
+    const signed = urlSigner.verify(req.baseUrl + req.path, req.query);
+    if (!signed) return requireApiKey(req, res, next);
+
+    if (signed.error === 'expired') {
+        return res.status(403).json({
+            error: 'Link expired',
+            expired_at: new Date(signed.expires * 1000).toISOString(),
+            message: 'Get a fresh link from GET /api/status/:jobId or POST /api/jobs/:jobId/links'
+        });
+    }
+    if (signed.error) {
+        return res.status(403).json({
+            error: 'Invalid link signature',
+            message: 'The link was altered or signed with a different secret'
+        });
+    }
+
+    req.signedUrl = true;
+    // Route HLS requests without the signature segment
+    req.url = signed.path.slice(req.baseUrl.length);
+    next();
+});
+
+// Link to a stored file: the backend's own URL (public or presigned) when it
+// has one, otherwise a signed /files link served by this service. HLS players
+// fetch segments relative to the playlist, which a presigned playlist link
+// can't cover, so HLS only links to a public bucket directly
+function fileLink(url, expires) {
+    const name = storageName(url);
+    if (name.endsWith('_hls')) {
+        return fileStorage.publicUrl(`${name}/${path.basename(url)}`) || urlSigner.sign(url, expires);
+    }
+    return fileStorage.publicUrl(name) || fileStorage.presignUrl(name, expires) || urlSigner.sign(url, expires);
+}
+
+// Signed copy of a files map, every link expiring together. Presigned
+// backend links can't outlive the backend's limit
+function signFiles(files, ttlSeconds = CONFIG.fileUrlTtl) {
+    const expires = Math.floor(Date.now() / 1000) + Math.min(ttlSeconds, fileStorage.maxLinkSeconds || Infinity);
+    return {
+        files: mapFileUrls(files, url => fileLink(url, expires)),
+        expiresAt: new Date(expires * 1000).toISOString()
+    };
+}
+
+// What a key has used so far. Jobs count against the UTC day they were
+// created on; storage is the output of completed jobs whose files still exist
+function getKeyUsage(key) {
+    const dayStart = new Date();
+    dayStart.setUTCHours(0, 0, 0, 0);
+    const usage = {
+        jobsToday: 0,
+        storageBytes: 0,
+        running: 0,
+        queued: 0,
+        resetsAt: new Date(dayStart.getTime() + 24 * 60 * 60 * 1000).toISOString()
+    };
+
+    for (const job of jobs.values()) {
+        // Parents are counted through their children
+        if (job.apiKey !== key.name || job.children) continue;
+        if (new Date(job.createdAt) >= dayStart) usage.jobsToday++;
+        if (job.status === 'processing') usage.running++;
+        if (job.status === 'queued') usage.queued++;
+        if (job.status === 'completed' && job.storageBytes) {
+            usage.storageBytes += job.storageBytes;
+        }
+    }
+    return usage;
+}
+
+// Check a key can start `jobCount` more jobs. Returns null, or the status
+// code and body to reject the request with
+function checkKeyQuota(key, jobCount) {
+    if (!key) return null;
+    const usage = getKeyUsage(key);
+    const quota = describeQuota(key, usage);
+
+    if (key.storageBytes !== null && usage.storageBytes >= key.storageBytes) {
+        return {
+            status: 403,
+            body: {
+                error: 'Storage quota exceeded',
+                message: `Files from your completed jobs use ${formatBytes(usage.storageBytes)} of ${formatBytes(key.storageBytes)} - space frees up as their files expire (after ${CONFIG.fileRetentionHours}h unless the job set its own retention)`,
+                quota
+            }
+        };
+    }
+    if (key.dailyJobs !== null && usage.jobsToday + jobCount > key.dailyJobs) {
+        return {
+            status: 429,
+            retryAfter: Math.ceil((new Date(usage.resetsAt) - Date.now()) / 1000),
+            body: {
+                error: 'Daily job quota exceeded',
+                message: `This request needs ${jobCount} job${jobCount === 1 ? '' : 's'} but only ${quota.daily_jobs.remaining} of ${key.dailyJobs} remain today`,
+                quota
+            }
+        };
+    }
+    return null;
+}
+
+const sendQuotaRejection = (res, rejection) => {
+    if (rejection.retryAfter) res.setHeader('Retry-After', rejection.retryAfter);
+    return res.status(rejection.status).json(rejection.body);
+};
+
+// Jobs belong to the API key that submitted them, or to the client IP when
+// the service runs without keys. Admin keys can reach every job
+const canAccessJob = (req, job) => {
+    if (req.apiKey) return req.apiKey.role === 'admin' || job.apiKey === req.apiKey.name;
+    return job.clientIp === req.ip;
+};
+
+// Another tenant's job looks exactly like one that doesn't exist
+const getAccessibleJob = (req, jobId) => {
+    const job = jobs.get(jobId);
+    return job && canAccessJob(req, job) ? job : null;
+};
+
+// Files are named after the job that produced them; cache hits on that job
+// share them, so their owners may fetch them too
+const canAccessJobFiles = (req, producerId) =>
+    Boolean(getAccessibleJob(req, producerId)) ||
+    Array.from(sharedFiles.get(producerId) || []).some(jobId => getAccessibleJob(req, jobId));
+
+const formatBytes = (bytes) => bytes >= 1024 * 1024 * 1024
+    ? `${(bytes / 1024 / 1024 / 1024).toFixed(1)} GB`
+    : `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+
+const filesExpiredResponse = (job) => ({
+    error: 'Files expired',
+    job_id: job.id,
+    expired_at: job.expiredAt,
+    expired_reason: job.expiredReason,
+    message: 'The files were deleted - submit the download again'
+});
+
+// API Routes
 
 // Enhanced health check
 app.get('/health', (req, res) => {
@@ -571,7 +2263,9 @@ app.get('/health', (req, res) => {
         status: 'healthy',
         service: 'Enhanced YouTube Downloader Service',
         version: '2.0.0',
-        activeJobs: activeDownloads.size,
+        activeJobs: downloadQueue.activeCount,
+        queuedJobs: downloadQueue.depth,
+        maxQueueDepth: CONFIG.maxQueueDepth,
         totalJobs,
         completedJobs,
         failedJobs,
@@ -581,6 +2275,7 @@ app.get('/health', (req, res) => {
         proxyEnabled: CONFIG.proxies.length > 0,
         proxyCount: CONFIG.proxies.length,
         maxConcurrent: CONFIG.maxConcurrent,
+        storage: storage.usage(),
         stealthMode: 'ULTRA-MAXIMUM',
         enhancedFeatures: {
             multiClientExtraction: true,
@@ -594,10 +2289,252 @@ app.get('/health', (req, res) => {
     });
 });
 
+// Formats that split_chapters can cut into one file per chapter
+const CHAPTER_FORMATS = ['audio', 'video'];
+
+// Validate the options shared by single downloads and batches.
+// Returns { error } (a 400 body) or { options }
+function parseJobOptions(body) {
+    const {
+        formats = ['video', 'audio', 'silent_video'],
+        callback_url: callbackUrl,
+        callback_headers: callbackHeaders,
+        callback_secret: callbackSecret,
+        max_duration: maxDuration,
+        split_chapters: rawSplitChapters,
+        format_options: rawFormatOptions,
+        use_cache: useCache = true,
+        retention
+    } = body;
+
+    if (!Array.isArray(formats) || formats.length === 0) {
+        return {
+            error: {
+                error: 'Invalid formats',
+                available: FORMATS
+            }
+        };
+    }
+
+    const { options: formatOptions, errors: formatOptionErrors } = validateFormatOptions(formats, rawFormatOptions);
+    if (formatOptionErrors.length > 0) {
+        return {
+            error: {
+                error: 'Invalid format options',
+                details: formatOptionErrors,
+                allowed: ALLOWED_OPTIONS
+            }
+        };
+    }
+
+    if (maxDuration !== undefined && (!Number.isFinite(maxDuration) || maxDuration <= 0)) {
+        return {
+            error: {
+                error: 'Invalid max_duration',
+                message: 'max_duration must be a positive number of seconds'
+            }
+        };
+    }
+
+    const { clip, error: clipError } = parseClipOptions(body);
+    if (clipError) {
+        return {
+            error: {
+                error: 'Invalid clip range',
+                message: clipError
+            }
+        };
+    }
+    if (clip && !formats.some(format => ['video', 'audio', 'silent_video'].includes(format))) {
+        return {
+            error: {
+                error: 'Invalid clip range',
+                message: 'start/end and segments only apply to the video, audio and silent_video formats'
+            }
+        };
+    }
+    if (clip && clip.concat && formatOptions.subtitles && formatOptions.subtitles.embed === 'mux') {
+        return {
+            error: {
+                error: 'Invalid clip range',
+                message: 'Muxed subtitles cannot be kept when segments are concatenated - use embed "burn" or separate segments'
+            }
+        };
+    }
+
+    // true means every requested format that can be split
+    let splitChapters = [];
+    if (rawSplitChapters !== undefined && rawSplitChapters !== false) {
+        splitChapters = rawSplitChapters === true
+            ? formats.filter(format => CHAPTER_FORMATS.includes(format))
+            : rawSplitChapters;
+
+        if (!Array.isArray(splitChapters) || splitChapters.length === 0 ||
+            splitChapters.some(format => !CHAPTER_FORMATS.includes(format) || !formats.includes(format))) {
+            return {
+                error: {
+                    error: 'Invalid split_chapters',
+                    message: `split_chapters must be true or an array of requested formats from: ${CHAPTER_FORMATS.join(', ')}`
+                }
+            };
+        }
+        if (clip) {
+            return {
+                error: {
+                    error: 'Invalid split_chapters',
+                    message: 'split_chapters cannot be combined with start/end or segments'
+                }
+            };
+        }
+    }
+
+    if (typeof useCache !== 'boolean') {
+        return {
+            error: {
+                error: 'Invalid use_cache',
+                message: 'use_cache must be true or false'
+            }
+        };
+    }
+
+    const retentionError = retention === undefined ? null : validateRetention(retention, CONFIG.maxRetentionHours);
+    if (retentionError) {
+        return {
+            error: {
+                error: 'Invalid retention',
+                message: retentionError
+            }
+        };
+    }
+
+    let callback;
+    if (callbackUrl !== undefined) {
+        const callbackError = validateCallback(
+            { url: callbackUrl, headers: callbackHeaders, secret: callbackSecret },
+            { allowPrivate: CONFIG.webhookAllowPrivateHosts }
+        );
+        if (callbackError) {
+            return {
+                error: {
+                    error: 'Invalid callback',
+                    message: callbackError
+                }
+            };
+        }
+        callback = {
+            url: callbackUrl,
+            headers: callbackHeaders || {},
+            secret: callbackSecret,
+            status: 'waiting',
+            deliveries: []
+        };
+    }
+
+    return { options: { formats, formatOptions, maxDuration, clip, splitChapters, useCache, retention, callback } };
+}
+
+// Store a new download job and put it in the queue - or, when the same video
+// and options were downloaded recently or are in progress, reuse that result
+function createDownloadJob(url, options, extra = {}) {
+    const jobId = generateJobId();
+    const video = parseVideoUrl(url);
+    const videoId = video ? video.videoId : null;
+    const job = {
+        id: jobId,
+        url: video ? video.url : url,
+        formats: options.formats,
+        formatOptions: options.formatOptions,
+        status: 'queued',
+        progress: 0,
+        createdAt: new Date().toISOString(),
+        queuedAt: new Date().toISOString(),
+        files: {},
+        clientIp: options.clientIp,
+        maxDuration: options.maxDuration,
+        clip: options.clip,
+        splitChapters: options.splitChapters,
+        retention: options.retention,
+        apiKey: options.apiKey,
+        videoId,
+        cacheKey: videoId ? cacheKey(videoId, options) : null,
+        enhancedStealth: true,
+        ...extra
+    };
+
+    if (options.callback) attachCallback(job, options.callback);
+
+    const source = job.cacheKey && options.useCache !== false ? findCachedJob(job.cacheKey) : null;
+
+    if (source && source.status === 'completed') {
+        job.cache = 'hit';
+        Object.assign(job, cachedResult(source));
+        linkSharedFiles(job);
+        jobs.set(jobId, job);
+        resultCache.set(job.cacheKey, jobId);
+        console.log(`♻️ Cache hit for job ${jobId.slice(0, 8)}... (files from ${job.cachedFrom.slice(0, 8)}...)`);
+        // Announced once the caller is done with it - a parent lists its
+        // children before any of them may complete it
+        setImmediate(() => finishJob(job));
+        return { job, queuePosition: 0 };
+    }
+
+    if (source) {
+        job.cache = 'attached';
+        attachToJob(job, source);
+        jobs.set(jobId, job);
+        console.log(`🔗 Job ${jobId.slice(0, 8)}... attached to identical job ${source.id.slice(0, 8)}...`);
+        const queuePosition = downloadQueue.position(source.id);
+        jobEvents.publish(jobId, 'status', { status: job.status, queue_position: queuePosition });
+        return { job, queuePosition };
+    }
+
+    jobs.set(jobId, job);
+    // A use_cache: false job only replaces the cached result once it completes
+    if (job.cacheKey && !findCachedJob(job.cacheKey)) resultCache.set(job.cacheKey, jobId);
+
+    // Queue for processing - starts immediately when a slot is free
+    const queuePosition = downloadQueue.enqueue(jobId);
+    jobEvents.publish(jobId, 'status', { status: 'queued', queue_position: queuePosition });
+
+    return { job, queuePosition };
+}
+
+const queueFullResponse = () => ({ 
+    error: 'Download queue is full', 
+    active: downloadQueue.activeCount,
+    queued: downloadQueue.depth,
+    max_queue_depth: CONFIG.maxQueueDepth,
+    retry_after: Math.round(getAverageJobDuration() / 1000),
+    message: 'Enhanced stealth mode limits concurrent downloads for better success rates'
+});
+
+const rateLimitResponse = () => ({
+    error: 'Rate limit exceeded for enhanced stealth protection',
+    retry_after: Math.round(CONFIG.sessionDelay / 1000),
+    message: 'Extended delays are required for maximum bot detection avoidance'
+});
+
+const lowDiskResponse = ({ freeBytes, minFreeBytes }) => ({
+    error: 'Not enough disk space',
+    free_bytes: freeBytes,
+    min_free_bytes: minFreeBytes,
+    message: `Only ${formatBytes(freeBytes)} of disk space is left (new jobs need ${formatBytes(minFreeBytes)}) - try again once old files have been cleaned up`
+});
+
+// Pinned files are never deleted, so once API keys are in use only admins may pin
+const canPin = (req) => !req.apiKey || req.apiKey.role === 'admin';
+
+const pinNotAllowedResponse = () => ({
+    error: 'Pinning not allowed',
+    message: 'Only admin API keys can pin job files - ask for a retention in hours instead'
+});
+
+const PLAYLIST_ITEMS_PATTERN = /^\d+(-\d+)?(,\d+(-\d+)?)*$/;
+
 // Enhanced download endpoint
 app.post('/api/download', async (req, res) => {
     try {
-        const { url, formats = ['video', 'audio', 'silent_video'] } = req.body;
+        const { url, playlist_items: playlistItems } = req.body;
 
         // Validation
         if (!url) {
@@ -607,34 +2544,223 @@ app.post('/api/download', async (req, res) => {
             });
         }
 
-        if (!validateYouTubeUrl(url)) {
+        const playlist = parsePlaylistUrl(url);
+        const isPlaylist = playlist !== null;
+        if (!isPlaylist && !parseVideoUrl(url)) {
             return res.status(400).json({ 
                 error: 'Invalid YouTube URL format',
-                received: url.substring(0, 100),
-                expected: 'https://www.youtube.com/watch?v=VIDEO_ID'
+                received: String(url).substring(0, 100),
+                expected: 'https://www.youtube.com/watch?v=VIDEO_ID or https://www.youtube.com/playlist?list=PLAYLIST_ID'
             });
         }
 
-        if (!Array.isArray(formats) || formats.length === 0) {
+        if (playlistItems !== undefined && (!isPlaylist || typeof playlistItems !== 'string' || !PLAYLIST_ITEMS_PATTERN.test(playlistItems))) {
             return res.status(400).json({
-                error: 'Invalid formats',
-                available: ['video', 'audio', 'silent_video']
+                error: 'Invalid playlist_items',
+                message: 'playlist_items is only valid for playlist URLs and looks like "1-20" or "1,3,5-7"'
+            });
+        }
+
+        const { options, error } = parseJobOptions(req.body);
+        if (error) {
+            return res.status(400).json(error);
+        }
+        options.clientIp = req.ip;
+        options.apiKey = req.apiKey ? req.apiKey.name : undefined;
+
+        if (options.retention === 'pin' && !canPin(req)) {
+            return res.status(403).json(pinNotAllowedResponse());
+        }
+
+        // A playlist needs at least one job left; the rest is capped at expansion
+        const quotaRejection = checkKeyQuota(req.apiKey, 1);
+        if (quotaRejection) {
+            return sendQuotaRejection(res, quotaRejection);
+        }
+
+        const lowDisk = await storage.checkFreeSpace();
+        if (lowDisk) {
+            return res.status(507).json(lowDiskResponse(lowDisk));
+        }
+
+        // Queue depth check - jobs beyond the concurrency limit wait their turn
+        if (downloadQueue.isFull()) {
+            return res.status(429).json(queueFullResponse());
+        }
+
+        // Enhanced rate limiting
+        const clientId = req.ip || 'unknown';
+        if (!checkRateLimit(clientId)) {
+            return res.status(429).json(rateLimitResponse());
+        }
+
+        // Playlists become a parent job with one child per video
+        if (isPlaylist) {
+            const parent = createParentJob('playlist', [playlist.url], options, playlistItems);
+            return res.json({
+                job_id: parent.id,
+                type: parent.type,
+                status: parent.status,
+                message: 'Playlist job created - videos will be queued once the playlist is expanded',
+                formats: options.formats,
+                format_options: options.formatOptions,
+                playlist_items: playlistItems || null
+            });
+        }
+
+        const { job, queuePosition } = createDownloadJob(url, options);
+        // A job that took a free slot only turns processing once its worker runs
+        const status = job.status === 'queued' && downloadQueue.isActive(job.attachedTo || job.id) ? 'processing' : job.status;
+        const messages = {
+            hit: 'Same video and options were downloaded recently - the files are ready',
+            attached: 'Same video and options are already being downloaded - this job shares that download'
+        };
+
+        res.json({
+            job_id: job.id,
+            status,
+            message: messages[job.cache] || 'Enhanced stealth download job created successfully',
+            ...(job.cache ? { cache: job.cache } : {}),
+            video_id: job.videoId,
+            url: job.url,
+            formats: options.formats,
+            format_options: options.formatOptions,
+            clip: options.clip,
+            ...(status === 'queued' ? { queue_position: queuePosition, ...estimateQueueStart(queuePosition) } : {}),
+            estimated_time: '120-300 seconds',
+            stealth_mode: 'ULTRA-MAXIMUM',
+            features: {
+                proxy_protection: CONFIG.proxies.length > 0,
+                multi_client_extraction: true,
+                enhanced_delays: true,
+                realistic_headers: true,
+                cookie_simulation: true
+            }
+        });
+
+    } catch (error) {
+        console.error('❌ Download endpoint error:', error);
+        res.status(500).json({ 
+            error: 'Internal server error',
+            message: 'Please try again later'
+        });
+    }
+});
+
+// Batch endpoint - many videos and/or playlists under one parent job
+app.post('/api/batch', async (req, res) => {
+    try {
+        const { urls, playlist_items: playlistItems } = req.body;
+
+        if (!Array.isArray(urls) || urls.length === 0) {
+            return res.status(400).json({
+                error: 'urls must be a non-empty array',
+                example: ['https://www.youtube.com/watch?v=VIDEO_ID', 'https://www.youtube.com/playlist?list=PLAYLIST_ID']
+            });
+        }
+
+        if (urls.length > CONFIG.maxBatchSize) {
+            return res.status(400).json({
+                error: 'Too many URLs',
+                received: urls.length,
+                max: CONFIG.maxBatchSize
+            });
+        }
+
+        const invalid = urls
+            .map((url, index) => ({ index, url }))
+            .filter(({ url }) => !parseVideoUrl(url) && !parsePlaylistUrl(url));
+        if (invalid.length > 0) {
+            return res.status(400).json({
+                error: 'Invalid YouTube URL format',
+                invalid: invalid.map(({ index, url }) => ({ index, received: String(url).substring(0, 100) }))
+            });
+        }
+
+        if (playlistItems !== undefined && (typeof playlistItems !== 'string' || !PLAYLIST_ITEMS_PATTERN.test(playlistItems))) {
+            return res.status(400).json({
+                error: 'Invalid playlist_items',
+                message: 'playlist_items looks like "1-20" or "1,3,5-7" and applies to every playlist URL'
+            });
+        }
+
+        const { options, error } = parseJobOptions(req.body);
+        if (error) {
+            return res.status(400).json(error);
+        }
+        options.clientIp = req.ip;
+        options.apiKey = req.apiKey ? req.apiKey.name : undefined;
+
+        if (options.retention === 'pin' && !canPin(req)) {
+            return res.status(403).json(pinNotAllowedResponse());
+        }
+
+        // One job per URL; playlists are capped to what's left at expansion
+        const quotaRejection = checkKeyQuota(req.apiKey, urls.length);
+        if (quotaRejection) {
+            return sendQuotaRejection(res, quotaRejection);
+        }
+
+        const lowDisk = await storage.checkFreeSpace();
+        if (lowDisk) {
+            return res.status(507).json(lowDiskResponse(lowDisk));
+        }
+
+        // Playlist URLs count once here and are capped to the room left when listed
+        if (urls.length > downloadQueue.room()) {
+            return res.status(429).json(queueFullResponse());
+        }
+
+        const clientId = req.ip || 'unknown';
+        if (!checkRateLimit(clientId)) {
+            return res.status(429).json(rateLimitResponse());
+        }
+
+        const canonicalUrls = urls.map(url => (parsePlaylistUrl(url) || parseVideoUrl(url)).url);
+        const parent = createParentJob('batch', canonicalUrls, options, playlistItems);
+
+        res.json({
+            job_id: parent.id,
+            type: parent.type,
+            status: parent.status,
+            message: 'Batch job created - each video is queued as a child job',
+            url_count: urls.length,
+            formats: options.formats,
+            format_options: options.formatOptions,
+            playlist_items: playlistItems || null
+        });
+
+    } catch (error) {
+        console.error('❌ Batch endpoint error:', error);
+        res.status(500).json({ 
+            error: 'Internal server error',
+            message: 'Please try again later'
+        });
+    }
+});
+
+// Metadata lookup without downloading
+app.post('/api/info', async (req, res) => {
+    try {
+        const { url } = req.body;
+
+        if (!url) {
+            return res.status(400).json({ 
+                error: 'URL is required',
+                example: 'https://www.youtube.com/watch?v=VIDEO_ID'
             });
         }
 
-        // Enhanced concurrent limit check
-        if (activeDownloads.size >= CONFIG.maxConcurrent) {
-            return res.status(429).json({ 
-                error: 'Maximum concurrent downloads reached', 
-                active: activeDownloads.size,
-                max: CONFIG.maxConcurrent,
-                retry_after: 180,
-                message: 'Enhanced stealth mode limits concurrent downloads for better success rates'
+        const video = parseVideoUrl(url);
+        if (!video) {
+            return res.status(400).json({ 
+                error: 'Invalid YouTube URL format',
+                received: String(url).substring(0, 100),
+                expected: 'https://www.youtube.com/watch?v=VIDEO_ID'
             });
         }
 
-        // Enhanced rate limiting
-        const clientId = req.ip || 'unknown';
+        const clientId = `info_${req.ip || 'unknown'}`;
         if (!checkRateLimit(clientId)) {
             return res.status(429).json({
                 error: 'Rate limit exceeded for enhanced stealth protection',
@@ -643,62 +2769,21 @@ app.post('/api/download', async (req, res) => {
             });
         }
 
-        // Create job
-        const jobId = generateJobId();
-        const job = {
-            id: jobId,
-            url,
-            formats,
-            status: 'queued',
-            progress: 0,
-            createdAt: new Date().toISOString(),
-            files: {},
-            clientIp: req.ip,
-            enhancedStealth: true
-        };
-
-        jobs.set(jobId, job);
-
-        // Start processing
-        processDownloadJob(jobId);
-
-        res.json({
-            job_id: jobId,
-            status: 'queued',
-            message: 'Enhanced stealth download job created successfully',
-            formats: formats,
-            estimated_time: '120-300 seconds',
-            stealth_mode: 'ULTRA-MAXIMUM',
-            features: {
-                proxy_protection: CONFIG.proxies.length > 0,
-                multi_client_extraction: true,
-                enhanced_delays: true,
-                realistic_headers: true,
-                cookie_simulation: true
-            }
-        });
+        const videoInfo = await fetchVideoInfo(video.url);
+        res.json({ video_info: videoInfo });
 
     } catch (error) {
-        console.error('❌ Download endpoint error:', error);
-        res.status(500).json({ 
-            error: 'Internal server error',
-            message: 'Please try again later'
+        console.error('❌ Info endpoint error:', error.message);
+        res.status(502).json({
+            error: 'Could not fetch video metadata',
+            message: error.message.slice(0, 300)
         });
     }
 });
 
-// Status check endpoint (unchanged)
-app.get('/api/status/:jobId', (req, res) => {
-    const { jobId } = req.params;
-    const job = jobs.get(jobId);
-
-    if (!job) {
-        return res.status(404).json({ 
-            error: 'Job not found',
-            job_id: jobId
-        });
-    }
-
+// Public status payload, shared by the status endpoint and job events
+function buildStatusResponse(job) {
+    const jobId = job.id;
     const response = {
         job_id: jobId,
         status: job.status,
@@ -707,14 +2792,49 @@ app.get('/api/status/:jobId', (req, res) => {
         enhanced_stealth: job.enhancedStealth || false
     };
 
+    if (job.videoId) {
+        response.video_id = job.videoId;
+    }
+
+    if (job.callback) {
+        response.callback = {
+            url: job.callback.url,
+            status: job.callback.status,
+            deliveries: job.callback.deliveries
+        };
+    }
+
+    if (job.videoInfo) {
+        response.video_info = job.videoInfo;
+    }
+
+    if (job.clip) {
+        response.clip = job.clip;
+    }
+
+    if (job.cache) {
+        response.cache = job.cache;
+    }
+
     if (job.status === 'completed') {
-        response.files = job.files;
+        const { files, expiresAt } = signFiles(job.files);
+        response.files = files;
+        response.files_expire_at = expiresAt;
         response.completed_at = job.completedAt;
         response.download_count = Object.keys(job.files).length;
-        
-        if (job.videoInfo) {
-            response.video_info = job.videoInfo;
+        response.retention = job.retention || CONFIG.fileRetentionHours;
+        if (!job.children) {
+            const deleteAt = storage.expiresAt(job);
+            response.files_delete_at = deleteAt === null ? null : new Date(deleteAt).toISOString();
         }
+        
+    } else if (job.status === 'expired') {
+        response.completed_at = job.completedAt;
+        response.expired_at = job.expiredAt;
+        response.expired_reason = job.expiredReason;
+        response.message = job.expiredReason === 'disk_budget'
+            ? 'Files were deleted to stay within the disk budget. Submit the download again.'
+            : 'Files were deleted at the end of their retention period. Submit the download again.';
     } else if (job.status === 'failed') {
         response.error = job.error;
         response.error_type = job.errorType;
@@ -725,15 +2845,176 @@ app.get('/api/status/:jobId', (req, res) => {
             response.suggestion = 'Video may be private, deleted, or geo-restricted. Try a different video.';
         } else if (job.errorType === 'extraction_error') {
             response.suggestion = 'YouTube extraction failed. This is often temporary - try again in a few minutes.';
+        } else if (job.errorType === 'invalid_clip') {
+            response.suggestion = 'The requested start/end or segments fall outside the video. Check video_info.duration.';
+        } else if (job.errorType === 'duration_limit') {
+            response.suggestion = 'Use POST /api/info to check a video\'s duration before submitting it.';
+        } else if (job.errorType === 'playlist_error') {
+            response.suggestion = 'Playlist could not be listed. Check that it is public and the playlist_items range exists.';
+        } else if (job.errorType === 'quota_exceeded') {
+            response.suggestion = 'Your API key has no jobs left today. Check GET /api/quota for when the quota resets.';
         }
+    } else if (job.status === 'interrupted') {
+        response.error = job.error;
+        response.error_type = job.errorType;
+        response.interrupted_at = job.interruptedAt;
+        response.suggestion = 'The service restarted while this job was running. Submit the download again.';
+    } else if (job.status === 'cancelled') {
+        response.cancelled_at = job.cancelledAt;
     } else if (job.status === 'processing') {
         response.message = 'Enhanced stealth download in progress...';
+        if (job.formatProgress) {
+            response.format_progress = job.formatProgress;
+        }
+    } else if (job.status === 'queued') {
+        const position = downloadQueue.position(job.attachedTo || jobId);
+        response.queue_position = position;
+        response.queued_at = job.queuedAt;
+        if (position > 0) {
+            Object.assign(response, estimateQueueStart(position));
+        }
+        response.message = 'Waiting for a free download slot...';
+    } else if (job.status === 'expanding') {
+        response.message = 'Listing playlist videos...';
+    }
+
+    if (job.parentId) {
+        response.parent_id = job.parentId;
+        response.batch_index = job.batchIndex;
+    }
+
+    if (job.children) {
+        Object.assign(response, buildParentSummary(job));
+        delete response.files;
+    }
+
+    return response;
+}
+
+// Aggregate view of a playlist/batch job: per-child status plus a combined
+// manifest of every completed child's files, signed for ttlSeconds
+function buildParentSummary(parent, ttlSeconds = CONFIG.fileUrlTtl) {
+    const children = parent.children.map(id => jobs.get(id)).filter(Boolean);
+    const countStatus = (status) => children.filter(child => child.status === status).length;
+    const completed = children.filter(child => child.status === 'completed');
+    const childTitle = (child) => (child.videoInfo && child.videoInfo.title) || child.title || null;
+    const { files: signedFiles, expiresAt } = signFiles(completed.map(child => child.files), ttlSeconds);
+
+    return {
+        type: parent.type,
+        playlist_items: parent.playlistItems || null,
+        playlists: parent.playlists,
+        ...(parent.truncatedFrom ? { truncated_from: parent.truncatedFrom, truncated_reason: parent.truncatedReason || 'max_batch_size' } : {}),
+        summary: {
+            total: children.length,
+            queued: countStatus('queued'),
+            processing: countStatus('processing'),
+            completed: completed.length,
+            failed: countStatus('failed'),
+            cancelled: countStatus('cancelled'),
+            interrupted: countStatus('interrupted'),
+            expired: countStatus('expired')
+        },
+        children: children.map(child => ({
+            job_id: child.id,
+            index: child.batchIndex,
+            url: child.url,
+            title: childTitle(child),
+            status: child.status,
+            progress: child.progress,
+            ...(child.error ? { error: child.error, error_type: child.errorType } : {})
+        })),
+        manifest: completed.map((child, index) => ({
+            job_id: child.id,
+            index: child.batchIndex,
+            url: child.url,
+            title: childTitle(child),
+            files: signedFiles[index]
+        })),
+        files_expire_at: completed.length > 0 ? expiresAt : null,
+        download_count: completed.reduce((sum, child) => sum + Object.keys(child.files).length, 0)
+    };
+}
+
+const TERMINAL_STATUSES = ['completed', 'failed', 'interrupted', 'cancelled', 'expired'];
+
+// Status check endpoint
+app.get('/api/status/:jobId', (req, res) => {
+    const { jobId } = req.params;
+    const job = getAccessibleJob(req, jobId);
+
+    if (!job) {
+        return res.status(404).json({ 
+            error: 'Job not found',
+            job_id: jobId
+        });
+    }
+
+    res.json(buildStatusResponse(job));
+});
+
+// Live updates for one job (Server-Sent Events)
+app.get('/api/status/:jobId/events', (req, res) => {
+    const { jobId } = req.params;
+    const job = getAccessibleJob(req, jobId);
+
+    if (!job) {
+        return res.status(404).json({ 
+            error: 'Job not found',
+            job_id: jobId
+        });
     }
 
-    res.json(response);
+    const stream = openEventStream(req, res);
+    stream.send({ job_id: jobId, type: 'snapshot', data: buildStatusResponse(job), timestamp: new Date().toISOString() });
+
+    // Nothing more will happen to a finished job
+    if (TERMINAL_STATUSES.includes(job.status)) {
+        return stream.close();
+    }
+
+    stream.onClose(jobEvents.subscribe(jobId, (event) => {
+        stream.send(event);
+        if (TERMINAL_STATUSES.includes(event.type)) {
+            stream.close();
+        }
+    }));
 });
 
-// File serving (unchanged)
+// Live updates for every job (Server-Sent Events)
+app.get('/api/events', (req, res) => {
+    const stream = openEventStream(req, res);
+    stream.onClose(jobEvents.subscribeAll(event => {
+        if (getAccessibleJob(req, event.job_id)) stream.send(event);
+    }));
+});
+
+const CONTENT_TYPES = {
+    '.mp4': 'video/mp4',
+    '.webm': 'video/webm',
+    '.mkv': 'video/x-matroska',
+    '.mp3': 'audio/mpeg',
+    '.m4a': 'audio/mp4',
+    '.opus': 'audio/ogg',
+    '.ogg': 'audio/ogg',
+    '.flac': 'audio/flac',
+    '.wav': 'audio/wav',
+    '.vtt': 'text/vtt; charset=utf-8',
+    '.srt': 'application/x-subrip; charset=utf-8',
+    '.txt': 'text/plain; charset=utf-8',
+    '.jpg': 'image/jpeg',
+    '.webp': 'image/webp',
+    '.gif': 'image/gif',
+    '.png': 'image/png',
+    '.json': 'application/json'
+};
+
+const contentTypeFor = (name) => {
+    const extension = path.extname(name).toLowerCase();
+    return CONTENT_TYPES[extension] || HLS_CONTENT_TYPES[extension] || 'application/octet-stream';
+};
+
+// File serving
 app.get('/files/:filename', async (req, res) => {
     try {
         const { filename } = req.params;
@@ -743,32 +3024,45 @@ app.get('/files/:filename', async (req, res) => {
             return res.status(400).json({ error: 'Invalid filename' });
         }
 
-        const filePath = path.join(CONFIG.downloadDir, filename);
+        // Every output name starts with the job ID; only its owner (or a
+        // signed link they handed out) may fetch it
+        if (!req.signedUrl && !canAccessJobFiles(req, filename.slice(0, 36))) {
+            return res.status(404).json({ 
+                error: 'File not found',
+                filename: filename
+            });
+        }
+
+        const producer = jobs.get(filename.slice(0, 36));
 
         // Check file exists
-        try {
-            await fs.access(filePath);
-        } catch {
+        const stats = await fileStorage.stat(filename);
+        if (!stats) {
+            if (producer && producer.status === 'expired') {
+                return res.status(410).json(filesExpiredResponse(producer));
+            }
             return res.status(404).json({ 
                 error: 'File not found',
                 filename: filename
             });
         }
+        if (producer) storage.touch(producer);
 
-        // Get file stats
-        const stats = await fs.stat(filePath);
+        // Remote backends serve the file themselves
+        const filePath = fileStorage.localPath(filename);
+        if (!filePath) {
+            const expires = Math.floor(Date.now() / 1000) + CONFIG.fileUrlTtl;
+            return res.redirect(fileStorage.publicUrl(filename) || fileStorage.presignUrl(filename, expires));
+        }
         
         // Set appropriate headers
         res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
-        res.setHeader('Content-Length', stats.size);
+        res.setHeader('Content-Length', stats.bytes);
         
         // Determine content type
-        if (filename.includes('.mp4')) {
-            res.setHeader('Content-Type', 'video/mp4');
-        } else if (filename.includes('.mp3')) {
-            res.setHeader('Content-Type', 'audio/mpeg');
-        } else if (filename.includes('.m4a')) {
-            res.setHeader('Content-Type', 'audio/mp4');
+        const contentType = CONTENT_TYPES[path.extname(filename).toLowerCase()];
+        if (contentType) {
+            res.setHeader('Content-Type', contentType);
         }
 
         // Serve file
@@ -780,17 +3074,310 @@ app.get('/files/:filename', async (req, res) => {
     }
 });
 
-// Jobs listing with statistics (unchanged)
+// HLS playlists and segments - served inline so players can stream them
+app.get('/files/:jobId/hls/*', async (req, res) => {
+    try {
+        const { jobId } = req.params;
+        if (!/^[0-9a-f-]{36}$/.test(jobId)) {
+            return res.status(400).json({ error: 'Invalid job ID' });
+        }
+        if (!req.signedUrl && !canAccessJobFiles(req, jobId)) {
+            return res.status(404).json({
+                error: 'File not found',
+                path: req.params[0]
+            });
+        }
+
+        const filePath = resolveHlsPath(path.join(CONFIG.downloadDir, `${jobId}_hls`), req.params[0]);
+        if (!filePath) {
+            return res.status(400).json({ error: 'Invalid HLS path' });
+        }
+
+        const name = path.relative(CONFIG.downloadDir, filePath);
+        const producer = jobs.get(jobId);
+        if (!(await fileStorage.stat(name))) {
+            if (producer && producer.status === 'expired') {
+                return res.status(410).json(filesExpiredResponse(producer));
+            }
+            return res.status(404).json({
+                error: 'File not found',
+                path: req.params[0]
+            });
+        }
+        if (producer) storage.touch(producer);
+
+        res.setHeader('Content-Type', HLS_CONTENT_TYPES[path.extname(filePath)]);
+        res.setHeader('Content-Disposition', 'inline');
+        // Playlists never change once written, and <video> elements on other
+        // origins load them without CORS
+        res.setHeader('Cache-Control', 'public, max-age=3600');
+        res.setHeader('Cross-Origin-Resource-Policy', 'cross-origin');
+
+        if (fileStorage.localPath(name)) {
+            return res.sendFile(path.resolve(filePath));
+        }
+        const stream = fileStorage.createReadStream(name);
+        stream.on('error', (error) => {
+            console.error(`❌ HLS read failed for ${name}:`, error.message);
+            res.destroy(error);
+        });
+        stream.pipe(res);
+
+    } catch (error) {
+        console.error('❌ HLS serving error:', error);
+        res.status(500).json({ error: 'Error serving file' });
+    }
+});
+
+// Change how long a job's files are kept, or pin them. A batch or playlist
+// applies it to every child, including ones still to be created
+app.put('/api/jobs/:jobId/retention', (req, res) => {
+    const { jobId } = req.params;
+    const { retention } = req.body || {};
+    const job = getAccessibleJob(req, jobId);
+
+    if (!job) {
+        return res.status(404).json({ 
+            error: 'Job not found',
+            job_id: jobId
+        });
+    }
+
+    const retentionError = validateRetention(retention, CONFIG.maxRetentionHours);
+    if (retentionError) {
+        return res.status(400).json({
+            error: 'Invalid retention',
+            message: retentionError
+        });
+    }
+
+    if (retention === 'pin' && !canPin(req)) {
+        return res.status(403).json(pinNotAllowedResponse());
+    }
+
+    if (job.status === 'expired') {
+        return res.status(410).json(filesExpiredResponse(job));
+    }
+
+    if (['failed', 'cancelled', 'interrupted'].includes(job.status)) {
+        return res.status(409).json({
+            error: 'Job has no files',
+            job_id: jobId,
+            status: job.status
+        });
+    }
+
+    const children = job.children ? job.children.map(id => jobs.get(id)).filter(Boolean) : [];
+    [job, ...children].forEach(target => {
+        target.retention = retention;
+        jobs.save(target);
+    });
+    console.log(`📌 Retention for job ${jobId.slice(0, 8)}... set to ${retention === 'pin' ? 'pinned' : `${retention}h`}`);
+
+    // A shorter retention may already have run out
+    cleanOldFiles();
+
+    res.json(buildStatusResponse(job));
+});
+
+// Fresh signed links for a completed job's files, e.g. to hand to another
+// system that has no API key
+app.post('/api/jobs/:jobId/links', (req, res) => {
+    const { jobId } = req.params;
+    const { expires_in: expiresIn = CONFIG.fileUrlTtl } = req.body || {};
+    const job = getAccessibleJob(req, jobId);
+
+    if (!job) {
+        return res.status(404).json({ 
+            error: 'Job not found',
+            job_id: jobId
+        });
+    }
+
+    if (!Number.isInteger(expiresIn) || expiresIn < 60 || expiresIn > CONFIG.fileUrlMaxTtl) {
+        return res.status(400).json({
+            error: 'Invalid expires_in',
+            message: `expires_in must be a whole number of seconds between 60 and ${CONFIG.fileUrlMaxTtl}`
+        });
+    }
+
+    if (job.status === 'expired') {
+        return res.status(410).json(filesExpiredResponse(job));
+    }
+
+    if (job.status !== 'completed') {
+        return res.status(409).json({
+            error: 'Job has no files',
+            job_id: jobId,
+            status: job.status,
+            message: 'Links can only be created once the job has completed'
+        });
+    }
+
+    if (job.children) {
+        const { manifest, files_expire_at: expiresAt } = buildParentSummary(job, expiresIn);
+        return res.json({ job_id: jobId, expires_at: expiresAt, manifest });
+    }
+
+    const { files, expiresAt } = signFiles(job.files, expiresIn);
+    res.json({ job_id: jobId, expires_at: expiresAt, files });
+});
+
+// Files and manifest for a job archive. Children of a batch or playlist each
+// get a directory named after their index and title
+async function buildArchiveContents(job) {
+    const describe = (source) => ({
+        job_id: source.id,
+        url: source.url,
+        created_at: source.createdAt,
+        completed_at: source.completedAt,
+        formats: source.formats,
+        format_options: source.formatOptions,
+        ...(source.clip ? { clip: source.clip } : {}),
+        ...(source.videoInfo ? { video_info: source.videoInfo } : {})
+    });
+    const withDetails = (file, directory, extra) => ({
+        ...file,
+        name: directory + file.name,
+        content_type: contentTypeFor(file.storagePath),
+        ...extra
+    });
+
+    if (!job.children) {
+        const files = await listJobFiles(fileStorage, job.cachedFrom || job.id, job.files);
+        return {
+            entries: files.map(file => withDetails(file, '')),
+            manifest: { ...describe(job), generated_at: new Date().toISOString() }
+        };
+    }
+
+    const entries = [];
+    const children = [];
+    const completed = job.children.map(id => jobs.get(id)).filter(child => child && child.status === 'completed');
+    for (const child of completed) {
+        const title = (child.videoInfo && child.videoInfo.title) || child.title || 'video';
+        const directory = `${chapterFileBase(child.batchIndex, title)}/`;
+        const files = await listJobFiles(fileStorage, child.cachedFrom || child.id, child.files);
+        entries.push(...files.map(file => withDetails(file, directory, { job_id: child.id })));
+        children.push({ directory, index: child.batchIndex, ...describe(child) });
+    }
+
+    return {
+        entries,
+        manifest: {
+            job_id: job.id,
+            type: job.type,
+            created_at: job.createdAt,
+            completed_at: job.completedAt,
+            generated_at: new Date().toISOString(),
+            children
+        }
+    };
+}
+
+// Every output of a completed job as one ZIP or tar.gz, streamed as it is built
+app.get('/api/jobs/:jobId/archive', async (req, res) => {
+    try {
+        const { jobId } = req.params;
+        const format = req.query.format || 'zip';
+        const job = getAccessibleJob(req, jobId);
+
+        if (!job) {
+            return res.status(404).json({ 
+                error: 'Job not found',
+                job_id: jobId
+            });
+        }
+
+        if (!ARCHIVE_FORMATS[format]) {
+            return res.status(400).json({
+                error: 'Invalid archive format',
+                available: Object.keys(ARCHIVE_FORMATS)
+            });
+        }
+
+        if (job.status === 'expired') {
+            return res.status(410).json(filesExpiredResponse(job));
+        }
+
+        if (job.status !== 'completed') {
+            return res.status(409).json({
+                error: 'Job has no files',
+                job_id: jobId,
+                status: job.status,
+                message: 'Archives can only be downloaded once the job has completed'
+            });
+        }
+
+        const { entries, manifest } = await buildArchiveContents(job);
+        const missing = entries.filter(entry => entry.missing);
+        if (missing.length > 0) {
+            return res.status(410).json({
+                error: 'Files no longer available',
+                message: 'Some of the job\'s files are no longer in storage',
+                missing: missing.map(entry => entry.name)
+            });
+        }
+
+        const sources = job.children ? job.children.map(id => jobs.get(id)).filter(child => child && child.status === 'completed') : [job];
+        sources.forEach(source => storage.touch(source));
+
+        const { contentType, extension } = ARCHIVE_FORMATS[format];
+        res.setHeader('Content-Type', contentType);
+        res.setHeader('Content-Disposition', `attachment; filename="${jobId}.${extension}"`);
+
+        const archive = createJobArchive(format, entries, manifest, name => fileStorage.createReadStream(name));
+        archive.stream.on('error', (error) => {
+            console.error(`❌ Archive failed for job ${jobId.slice(0, 8)}...:`, error.message);
+            archive.abort();
+            res.destroy(error);
+        });
+        // Client disconnected part way through
+        res.on('close', () => {
+            if (!res.writableFinished) archive.abort();
+        });
+        archive.stream.pipe(res);
+        console.log(`📦 Streaming ${format} of ${entries.length} files for job ${jobId.slice(0, 8)}...`);
+
+    } catch (error) {
+        console.error('❌ Archive endpoint error:', error);
+        if (!res.headersSent) {
+            res.status(500).json({ error: 'Error building archive' });
+        }
+    }
+});
+
+// Quota and usage for the calling API key
+app.get('/api/quota', (req, res) => {
+    if (!req.apiKey) {
+        return res.status(404).json({
+            error: 'API keys are not enabled',
+            message: 'This service runs without authentication, so there are no per-key quotas'
+        });
+    }
+
+    res.json(describeQuota(req.apiKey, getKeyUsage(req.apiKey)));
+});
+
+// Jobs listing with statistics - the caller's own jobs, or every job (with
+// its owner, optionally filtered by ?owner=<key name>) for admin keys
 app.get('/api/jobs', (req, res) => {
     const limit = parseInt(req.query.limit) || 20;
     const offset = parseInt(req.query.offset) || 0;
+    const isAdmin = Boolean(req.apiKey && req.apiKey.role === 'admin');
+    const owner = isAdmin && typeof req.query.owner === 'string' ? req.query.owner : null;
     
-    const allJobs = Array.from(jobs.values());
+    const allJobs = Array.from(jobs.values())
+        .filter(job => canAccessJob(req, job))
+        .filter(job => !owner || job.apiKey === owner);
     const jobList = allJobs
         .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
         .slice(offset, offset + limit)
         .map(job => ({
             id: job.id,
+            type: job.type || 'download',
+            parent_id: job.parentId,
+            child_count: job.children ? job.children.length : undefined,
             status: job.status,
             progress: job.progress,
             created_at: job.createdAt,
@@ -798,19 +3385,26 @@ app.get('/api/jobs', (req, res) => {
             error_type: job.errorType,
             formats: job.formats,
             file_count: job.files ? Object.keys(job.files).length : 0,
-            url_preview: job.url.substring(0, 50) + '...',
-            enhanced_stealth: job.enhancedStealth || false
+            url_preview: job.url ? job.url.substring(0, 50) + '...' : `${job.urls.length} URLs`,
+            enhanced_stealth: job.enhancedStealth || false,
+            ...(isAdmin ? { owner: { api_key: job.apiKey || null, client_ip: job.clientIp || null } } : {})
         }));
 
     const stats = {
         total: allJobs.length,
-        active: activeDownloads.size,
+        // Only the listed jobs' share of the queue, so callers can't see each other's load
+        active: allJobs.filter(j => downloadQueue.isActive(j.id)).length,
+        queue_depth: allJobs.filter(j => downloadQueue.position(j.id) > 0).length,
         queued: allJobs.filter(j => j.status === 'queued').length,
         processing: allJobs.filter(j => j.status === 'processing').length,
         completed: allJobs.filter(j => j.status === 'completed').length,
         failed: allJobs.filter(j => j.status === 'failed').length,
+        interrupted: allJobs.filter(j => j.status === 'interrupted').length,
+        cancelled: allJobs.filter(j => j.status === 'cancelled').length,
+        expired: allJobs.filter(j => j.status === 'expired').length,
         bot_detection_failures: allJobs.filter(j => j.errorType === 'bot_detection').length,
-        success_rate: allJobs.length > 0 ? Math.round((allJobs.filter(j => j.status === 'completed').length / allJobs.length) * 100) : 0
+        // Expired jobs completed before their files were deleted
+        success_rate: allJobs.length > 0 ? Math.round((allJobs.filter(j => j.status === 'completed' || j.status === 'expired').length / allJobs.length) * 100) : 0
     };
 
     res.json({ 
@@ -825,12 +3419,95 @@ app.get('/api/jobs', (req, res) => {
     });
 });
 
+// Job cancellation
+const handleCancelJob = async (req, res) => {
+    try {
+        const { jobId } = req.params;
+        const job = getAccessibleJob(req, jobId);
+
+        if (!job) {
+            return res.status(404).json({ 
+                error: 'Job not found',
+                job_id: jobId
+            });
+        }
+
+        if (TERMINAL_STATUSES.includes(job.status)) {
+            return res.status(409).json({
+                error: 'Job already finished',
+                job_id: jobId,
+                status: job.status
+            });
+        }
+
+        await cancelJob(job);
+        res.json(buildStatusResponse(job));
+
+    } catch (error) {
+        console.error('❌ Cancel endpoint error:', error);
+        res.status(500).json({ error: 'Error cancelling job' });
+    }
+};
+
+app.delete('/api/jobs/:jobId', handleCancelJob);
+app.post('/api/jobs/:jobId/cancel', handleCancelJob);
+
 // Initialize and start server
 async function startServer() {
     try {
         await initDirectories();
         
-        // Clean old files every 30 minutes
+        // Keys first - re-queued jobs are scheduled against their key's limits
+        apiKeys = await loadApiKeys({
+            json: CONFIG.apiKeys,
+            filePath: CONFIG.apiKeysFile,
+            defaults: CONFIG.apiKeyDefaults
+        });
+        
+        // Restore jobs from the previous run
+        const { restored, interrupted, requeued } = await jobs.load({ requeue: CONFIG.requeueInterruptedJobs });
+        if (restored > 0) {
+            console.log(`💾 Restored ${restored} jobs (${interrupted} interrupted, ${requeued.length} re-queued)`);
+        }
+        // Records written before callback credentials were kept out of the store
+        for (const job of jobs.values()) {
+            if (job.callback && ('headers' in job.callback || 'secret' in job.callback)) {
+                attachCallback(job, { headers: {}, ...job.callback });
+                jobs.save(job);
+            }
+        }
+        // Rebuild the result cache and shared-file links from the restored jobs
+        const latest = (a, b) => (!a || new Date(b.completedAt) > new Date(a.completedAt) ? b : a);
+        const cached = new Map();
+        for (const job of jobs.values()) {
+            if (job.cachedFrom) linkSharedFiles(job);
+            if (job.cacheKey && job.status === 'completed') cached.set(job.cacheKey, latest(cached.get(job.cacheKey), job));
+        }
+        cached.forEach((job, key) => resultCache.set(key, job.id));
+
+        requeued.forEach(jobId => {
+            const job = jobs.get(jobId);
+            if (job.children) {
+                resumeParentJob(job);
+                return;
+            }
+            // An attached job's download was lost with the restart - it runs its own
+            if (job.attachedTo) {
+                delete job.attachedTo;
+                delete job.cache;
+            }
+            if (job.cacheKey) resultCache.set(job.cacheKey, jobId);
+            downloadQueue.enqueue(jobId);
+        });
+        
+        // Resume callbacks that were still retrying when the service stopped,
+        // and send them for jobs that just became interrupted
+        Array.from(jobs.values())
+            .filter(job => job.callback && ['waiting', 'pending'].includes(job.callback.status) && TERMINAL_STATUSES.includes(job.status))
+            .forEach(job => sendJobCallback(job));
+        
+        // Clean old files now and every 30 minutes
+        cleanOldFiles();
         setInterval(cleanOldFiles, 30 * 60 * 1000);
         
         const PORT = process.env.PORT || CONFIG.port;
@@ -839,9 +3516,22 @@ async function startServer() {
             console.log('\n🚀 Enhanced YouTube Downloader Service Started!');
             console.log('='.repeat(70));
             console.log(`📡 Server: Running on port ${PORT}`);
-            console.log(`📁 Downloads: ${CONFIG.downloadDir}`);
+            console.log(`📁 Downloads: ${CONFIG.downloadDir} (kept ${CONFIG.fileRetentionHours}h${CONFIG.diskBudgetMb ? `, ${CONFIG.diskBudgetMb}MB budget` : ''}${CONFIG.minFreeDiskMb ? `, new jobs need ${CONFIG.minFreeDiskMb}MB free` : ''})`);
+            if (fileStorage.type === 's3') {
+                console.log(`☁️ File storage: S3 bucket ${fileStorage.bucket}${CONFIG.s3.endpoint ? ` at ${CONFIG.s3.endpoint}` : ''}${CONFIG.s3.instanceId ? `, instance ${CONFIG.s3.instanceId}` : ''} (${CONFIG.s3.publicUrl ? `public links via ${CONFIG.s3.publicUrl}` : 'presigned links'})`);
+            }
+            console.log(`💾 Job store: ${jobs.backend}${jobs.backend === 'file' ? ` (${CONFIG.jobStoreFile})` : ''}`);
             console.log(`🔒 Security: ULTRA-MAXIMUM stealth mode ENABLED`);
+            if (!CONFIG.fileUrlSecret) {
+                console.log(`⚠️ File links: no FILE_URL_SECRET set - signed links stop working on restart`);
+            }
+            if (apiKeys.size > 0) {
+                console.log(`🔑 API keys: ${apiKeys.size} configured, required on /api and /files`);
+            } else {
+                console.log(`⚠️ API keys: NONE configured - /api and /files are open to anyone`);
+            }
             console.log(`⚡ Concurrent: ${CONFIG.maxConcurrent} downloads max (optimized for stealth)`);
+            console.log(`📋 Queue: up to ${CONFIG.maxQueueDepth} waiting jobs`);
             console.log(`⏱️ Delays: ${CONFIG.requestDelay}ms request, ${CONFIG.sessionDelay}ms session`);
             console.log(`🤖 Anti-Bot: Multi-client extraction, proxy rotation, cookie simulation`);
             
@@ -864,13 +3554,15 @@ async function startServer() {
 }
 
 // Graceful shutdown
-process.on('SIGTERM', () => {
+process.on('SIGTERM', async () => {
     console.log('Received SIGTERM, shutting down gracefully...');
+    await jobs.flush();
     process.exit(0);
 });
 
-process.on('SIGINT', () => {
+process.on('SIGINT', async () => {
     console.log('Received SIGINT, shutting down gracefully...');
+    await jobs.flush();
     process.exit(0);
 });
 